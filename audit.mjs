@@ -0,0 +1,143 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+import { config } from './config.mjs'
+import { currentContext, resolvePath } from './context.mjs'
+import { diffConfigs } from './diff.mjs'
+import { loadHasher } from './sync.mjs'
+
+/**
+ * The audit log is a JSON-lines file, `auditLogPath` in .mysteriorc. Set it
+ * to false to turn auditing off.
+ */
+export function auditLogPath() {
+  return config.auditLogPath === false ? null : resolvePath(config.auditLogPath || '.mysterio-audit.jsonl')
+}
+
+function currentUser() {
+  try {
+    return os.userInfo().username
+  } catch {
+    return process.env.USER || process.env.USERNAME || 'unknown'
+  }
+}
+
+/**
+ * Key-level changes between two versions of a config, with values hashed by
+ * `hash`
+ */
+export function auditChanges(before, after, hash) {
+  const diff = diffConfigs(before || {}, after || {})
+  return [
+    ...diff.added.map(({ path: key, value }) => ({ key, change: 'added', newHash: hash(value) })),
+    ...diff.changed.map(({ path: key, from, to }) => ({ key, change: 'changed', oldHash: hash(from), newHash: hash(to) })),
+    ...diff.removed.map(({ path: key, value }) => ({ key, change: 'removed', oldHash: hash(value) }))
+  ].sort((a, b) => a.key.localeCompare(b.key))
+}
+
+// Records of the writes made by this process, whether or not a log is
+// kept. A createMysterio() instance collects its own.
+const processRecords = []
+const sessionRecords = () => currentContext().writes || processRecords
+
+/**
+ * Append a record of a completed write to the audit log. Values never reach
+ * the log, only their HMACs under the project's hash key (see loadHasher).
+ *
+ * `target` is local, vault or aws and `resource` the file or secret written.
+ * AWS writes also pass the `arn` and `versionId` they produced.
+ */
+export async function recordAudit({ command, env, target, resource, arn, versionId, before, after }) {
+  // Without a log there is nothing to hash for, so no key is created
+  const file = auditLogPath()
+  const hash = file ? await loadHasher() : () => undefined
+
+  const record = {
+    timestamp: new Date().toISOString(),
+    user: currentUser(),
+    command,
+    env,
+    target,
+    resource,
+    ...(arn && { arn }),
+    ...(versionId && { versionId }),
+    changes: auditChanges(before, after, hash)
+  }
+  sessionRecords().push(record)
+
+  if (!file) return
+
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await fs.appendFile(file, `${JSON.stringify(record)}\n`)
+}
+
+/**
+ * Every write recorded so far by this process or createMysterio()
+ * instance, for `--json` output
+ */
+export function sessionWrites() {
+  return sessionRecords().map(({ command, env, target, resource, arn, versionId, changes }) => ({
+    command,
+    env,
+    target,
+    resource,
+    ...(arn && { arn }),
+    ...(versionId && { versionId }),
+    keys: changes.map(change => change.key)
+  }))
+}
+
+// A bare date as --until covers the whole day
+function parseDate(value, option, endOfDay = false) {
+  const date = new Date(value)
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date for ${option}: ${value}`)
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1)
+    date.setUTCMilliseconds(-1)
+  }
+  return date
+}
+
+/**
+ * Audit records matching the filters, oldest first. `key` matches the key
+ * itself and anything nested under it; `since` and `until` are inclusive.
+ */
+export async function readAudit({ env, key, since, until } = {}) {
+  const file = auditLogPath()
+  if (!file) return []
+
+  let content
+  try {
+    content = await fs.readFile(file, 'utf-8')
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+
+  const from = since ? parseDate(since, '--since') : null
+  const to = until ? parseDate(until, '--until', true) : null
+  const matchesKey = change => change.key === key || change.key.startsWith(`${key}.`)
+
+  const records = []
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue
+
+    const record = JSON.parse(line)
+    const timestamp = new Date(record.timestamp)
+
+    if (env && record.env !== env) continue
+    if (from && timestamp < from) continue
+    if (to && timestamp > to) continue
+    if (key) {
+      const changes = record.changes.filter(matchesKey)
+      if (changes.length === 0) continue
+      records.push({ ...record, changes })
+    } else {
+      records.push(record)
+    }
+  }
+
+  return records
+}
@@ -0,0 +1,696 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import crypto from 'node:crypto'
+import {
+  SecretsManagerClient,
+  GetSecretValueCommand,
+  CreateSecretCommand,
+  UpdateSecretCommand,
+  DeleteSecretCommand,
+  ListSecretsCommand,
+  ListSecretVersionIdsCommand,
+  UpdateSecretVersionStageCommand,
+  DescribeSecretCommand,
+  ReplicateSecretToRegionsCommand,
+  RemoveRegionsFromReplicationCommand,
+  ResourceNotFoundException
+} from '@aws-sdk/client-secrets-manager'
+import {
+  SSMClient,
+  GetParameterCommand,
+  PutParameterCommand,
+  DeleteParameterCommand,
+  GetParametersByPathCommand,
+  GetParameterHistoryCommand,
+  ParameterNotFound,
+  ParameterAlreadyExists
+} from '@aws-sdk/client-ssm'
+import { config } from './config.mjs'
+import { currentContext, resolvePath } from './context.mjs'
+
+/**
+ * Thrown by every backend when the named secret does not exist
+ */
+export class SecretNotFoundError extends Error {
+  constructor(secretName, backendLabel) {
+    super(`Secret '${secretName}' not found in ${backendLabel}`)
+    this.name = 'SecretNotFoundError'
+    this.secretName = secretName
+  }
+}
+
+/**
+ * Thrown when creating a secret that already exists
+ */
+export class SecretExistsError extends Error {
+  constructor(secretName, backendLabel) {
+    super(`Secret '${secretName}' already exists in ${backendLabel}`)
+    this.name = 'SecretExistsError'
+    this.secretName = secretName
+  }
+}
+
+/**
+ * A backend stores one JSON document per secret name and exposes:
+ *
+ *   read(name, { versionId })      -> object, or null when missing
+ *   write(name, data, { description }) -> { created, arn, versionId }
+ *   delete(name, { force, recoveryWindow }) -> { arn, deletionDate }
+ *   list(prefix)                    -> [{ name }]
+ *   versions(name)                  -> [{ versionId, stages, current, createdAt }], newest first
+ *   restore(name, versionId)        -> { versionId }, make a past version current
+ *   status(name)                    -> [{ region, primary, state, versionId, error }]
+ *
+ * The active backend comes from `backend` in .mysteriorc, either a type
+ * name or `{ "type": "...", ...backendOptions }`. When .mysteriorc lists
+ * `regions`, the AWS backends write to all of them (see
+ * createReplicatedBackend). A backend given to createMysterio() replaces
+ * all of this, and a `secretsClient` given to it serves the primary region.
+ */
+export function createBackend(options = {}) {
+  const { backend, secretsClient } = currentContext()
+  if (backend) {
+    return backend.status ? backend : withStatus(backend)
+  }
+
+  const backendConfig = typeof config.backend === 'string'
+    ? { type: config.backend }
+    : { ...config.backend }
+  const type = options.type || backendConfig.type || 'secrets-manager'
+  const region = options.region || config.awsRegion || 'us-east-1'
+  const replicaRegions = [...new Set(options.regions || config.regions || [])].filter(name => name !== region)
+
+  const createRegional = regionName => {
+    const client = regionName === region ? secretsClient : undefined
+    switch (type) {
+      case 'secrets-manager':
+        return createSecretsManagerBackend({ region: regionName, client })
+      case 'ssm':
+        return createSsmBackend({ region: regionName, client })
+      case 'file':
+        return createFileBackend({ dir: options.dir || backendConfig.dir })
+      default:
+        throw new Error(`Unknown backend: ${type}. Use "secrets-manager", "ssm", or "file"`)
+    }
+  }
+
+  const primary = createRegional(region)
+
+  // A local file store has no regions to replicate to
+  if (replicaRegions.length === 0 || type === 'file') {
+    return withStatus(primary)
+  }
+
+  return createReplicatedBackend(primary, replicaRegions.map(createRegional), {
+    mode: options.replication || config.regionReplication || 'write'
+  })
+}
+
+// State of a secret in each region compared to the primary: `ok`,
+// `missing`, `error`, or `different` when the content doesn't match
+async function regionStatus(secretName, primary, replicas) {
+  const describe = async (backend, isPrimary) => {
+    try {
+      const data = await backend.read(secretName)
+      if (!data) {
+        return { region: backend.region, primary: isPrimary, state: 'missing' }
+      }
+      const current = (await backend.versions(secretName)).find(version => version.current)
+      return { region: backend.region, primary: isPrimary, versionId: current?.versionId, content: JSON.stringify(data) }
+    } catch (error) {
+      return { region: backend.region, primary: isPrimary, state: 'error', error: error.message }
+    }
+  }
+
+  const [main, ...others] = await Promise.all([
+    describe(primary, true),
+    ...replicas.map(replica => describe(replica, false))
+  ])
+
+  return [main, ...others].map(({ content, ...entry }) => ({
+    ...entry,
+    state: entry.state || (entry.primary || (main.content && content === main.content) ? 'ok' : 'different')
+  }))
+}
+
+function withStatus(backend) {
+  return {
+    ...backend,
+    status: secretName => regionStatus(secretName, backend, [])
+  }
+}
+
+/**
+ * Wrap a primary backend so every write also reaches the replica regions.
+ * Reads always go to the primary.
+ *
+ *   write  - write the same document to each region in turn. Version IDs
+ *            differ between regions, so a rollback re-writes the restored
+ *            document to the replicas.
+ *   native - let Secrets Manager replicate the secret; missing replica
+ *            regions are added after each write.
+ */
+export function createReplicatedBackend(primary, replicas, { mode = 'write' } = {}) {
+  if (!['write', 'native'].includes(mode)) {
+    throw new Error(`Invalid regionReplication: ${mode}. Use "write" or "native"`)
+  }
+  if (mode === 'native' && !primary.replicate) {
+    throw new Error(`Native replication is not available for ${primary.label}, use "write"`)
+  }
+
+  const replicaRegions = replicas.map(replica => replica.region)
+
+  async function replicate(secretName, data, options) {
+    if (mode === 'native') {
+      await primary.replicate(secretName, replicaRegions)
+    } else {
+      await Promise.all(replicas.map(replica => replica.write(secretName, data, options)))
+    }
+  }
+
+  return {
+    type: primary.type,
+    label: `${primary.label} (${[primary.region, ...replicaRegions].join(', ')})`,
+    region: primary.region,
+    regions: [primary.region, ...replicaRegions],
+
+    read: (secretName, options) => primary.read(secretName, options),
+    list: prefix => primary.list(prefix),
+    versions: secretName => primary.versions(secretName),
+    credentials: () => primary.credentials(),
+    checkWrite: secretName => primary.checkWrite(secretName),
+
+    async write(secretName, data, options) {
+      const response = await primary.write(secretName, data, options)
+      await replicate(secretName, data, options)
+      return response
+    },
+
+    async restore(secretName, versionId) {
+      const response = await primary.restore(secretName, versionId)
+      if (mode === 'write') {
+        const data = await primary.read(secretName)
+        await Promise.all(replicas.map(replica => replica.write(secretName, data)))
+      }
+      return response
+    },
+
+    async delete(secretName, options) {
+      if (mode === 'native') {
+        // Secrets Manager refuses to delete a secret that still has replicas
+        await primary.removeReplicas(secretName)
+      } else {
+        await Promise.all(replicas.map(async replica => {
+          try {
+            await replica.delete(secretName, options)
+          } catch (error) {
+            if (!(error instanceof SecretNotFoundError)) throw error
+          }
+        }))
+      }
+      return await primary.delete(secretName, options)
+    },
+
+    status: secretName => regionStatus(secretName, primary, replicas)
+  }
+}
+
+export function createSecretsManagerBackend({ region, client = new SecretsManagerClient({ region }) }) {
+  const label = 'AWS Secrets Manager'
+
+  return {
+    type: 'secrets-manager',
+    label,
+    region,
+
+    async read(secretName, { versionId } = {}) {
+      try {
+        const { SecretString } = await client.send(new GetSecretValueCommand({
+          SecretId: secretName,
+          VersionId: versionId
+        }))
+        return JSON.parse(SecretString)
+      } catch (error) {
+        if (error instanceof ResourceNotFoundException) return null
+        throw error
+      }
+    },
+
+    // The credentials the default AWS provider chain resolves to
+    async credentials() {
+      const { accessKeyId, expiration } = await client.config.credentials()
+      return { accessKeyId, expiration }
+    },
+
+    /**
+     * Check that the secret may be written without changing it: re-sending
+     * the current value with the current version ID as the request token is
+     * ignored by Secrets Manager, but still needs secretsmanager:UpdateSecret.
+     * Resolves to false when the secret does not exist.
+     */
+    async checkWrite(secretName) {
+      try {
+        const { SecretString, VersionId } = await client.send(new GetSecretValueCommand({ SecretId: secretName }))
+        await client.send(new UpdateSecretCommand({
+          SecretId: secretName,
+          SecretString,
+          ClientRequestToken: VersionId
+        }))
+        return true
+      } catch (error) {
+        if (error instanceof ResourceNotFoundException) return false
+        throw error
+      }
+    },
+
+    async write(secretName, data, { description } = {}) {
+      try {
+        const response = await client.send(new UpdateSecretCommand({
+          SecretId: secretName,
+          SecretString: JSON.stringify(data)
+        }))
+        return { created: false, arn: response.ARN, versionId: response.VersionId }
+      } catch (error) {
+        if (!(error instanceof ResourceNotFoundException)) throw error
+
+        const response = await client.send(new CreateSecretCommand({
+          Name: secretName,
+          SecretString: JSON.stringify(data),
+          Description: description
+        }))
+        return { created: true, arn: response.ARN, versionId: response.VersionId }
+      }
+    },
+
+    async delete(secretName, { force, recoveryWindow } = {}) {
+      const params = { SecretId: secretName }
+      if (force) {
+        params.ForceDeleteWithoutRecovery = true
+      } else {
+        params.RecoveryWindowInDays = recoveryWindow
+      }
+
+      try {
+        const response = await client.send(new DeleteSecretCommand(params))
+        return { arn: response.ARN, deletionDate: response.DeletionDate }
+      } catch (error) {
+        if (error instanceof ResourceNotFoundException) throw new SecretNotFoundError(secretName, label)
+        throw error
+      }
+    },
+
+    async list(prefix = '') {
+      const names = []
+      let NextToken
+      do {
+        const response = await client.send(new ListSecretsCommand({
+          Filters: prefix ? [{ Key: 'name', Values: [prefix] }] : undefined,
+          NextToken
+        }))
+        names.push(...response.SecretList.map(secret => ({ name: secret.Name })))
+        NextToken = response.NextToken
+      } while (NextToken)
+      return names
+    },
+
+    async versions(secretName) {
+      const versions = []
+      let NextToken
+      do {
+        try {
+          const response = await client.send(new ListSecretVersionIdsCommand({
+            SecretId: secretName,
+            IncludeDeprecated: true,
+            NextToken
+          }))
+          versions.push(...response.Versions)
+          NextToken = response.NextToken
+        } catch (error) {
+          if (error instanceof ResourceNotFoundException) throw new SecretNotFoundError(secretName, label)
+          throw error
+        }
+      } while (NextToken)
+
+      return versions
+        .map(version => ({
+          versionId: version.VersionId,
+          stages: version.VersionStages || [],
+          current: (version.VersionStages || []).includes('AWSCURRENT'),
+          createdAt: version.CreatedDate
+        }))
+        .sort((a, b) => b.createdAt - a.createdAt)
+    },
+
+    async restore(secretName, versionId) {
+      const current = (await this.versions(secretName)).find(version => version.current)
+
+      await client.send(new UpdateSecretVersionStageCommand({
+        SecretId: secretName,
+        VersionStage: 'AWSCURRENT',
+        MoveToVersionId: versionId,
+        RemoveFromVersionId: current?.versionId
+      }))
+      return { versionId }
+    },
+
+    async replicate(secretName, regions) {
+      const { ReplicationStatus = [] } = await client.send(new DescribeSecretCommand({ SecretId: secretName }))
+      const replicated = ReplicationStatus.map(status => status.Region)
+      const missing = regions.filter(regionName => !replicated.includes(regionName))
+
+      if (missing.length > 0) {
+        await client.send(new ReplicateSecretToRegionsCommand({
+          SecretId: secretName,
+          AddReplicaRegions: missing.map(regionName => ({ Region: regionName }))
+        }))
+      }
+    },
+
+    async removeReplicas(secretName) {
+      try {
+        const { ReplicationStatus = [] } = await client.send(new DescribeSecretCommand({ SecretId: secretName }))
+        if (ReplicationStatus.length > 0) {
+          await client.send(new RemoveRegionsFromReplicationCommand({
+            SecretId: secretName,
+            RemoveReplicaRegions: ReplicationStatus.map(status => status.Region)
+          }))
+        }
+      } catch (error) {
+        if (error instanceof ResourceNotFoundException) throw new SecretNotFoundError(secretName, label)
+        throw error
+      }
+    }
+  }
+}
+
+/**
+ * SSM Parameter Store: each secret is a SecureString parameter holding the
+ * JSON document, named `/<packageName>/<env>`
+ */
+export function createSsmBackend({ region, client = new SSMClient({ region }) }) {
+  const label = 'SSM Parameter Store'
+  const parameterName = secretName => secretName.startsWith('/') ? secretName : `/${secretName}`
+
+  return {
+    type: 'ssm',
+    label,
+    region,
+
+    async read(secretName, { versionId } = {}) {
+      try {
+        const { Parameter } = await client.send(new GetParameterCommand({
+          Name: versionId ? `${parameterName(secretName)}:${versionId}` : parameterName(secretName),
+          WithDecryption: true
+        }))
+        return JSON.parse(Parameter.Value)
+      } catch (error) {
+        if (error instanceof ParameterNotFound) return null
+        throw error
+      }
+    },
+
+    async credentials() {
+      const { accessKeyId, expiration } = await client.config.credentials()
+      return { accessKeyId, expiration }
+    },
+
+    /**
+     * Check that the parameter may be written without changing it: a put
+     * without Overwrite is authorized first, then refused because the
+     * parameter exists. Resolves to false when it does not exist.
+     */
+    async checkWrite(secretName) {
+      const { Parameter } = await client.send(new GetParameterCommand({
+        Name: parameterName(secretName),
+        WithDecryption: true
+      })).catch(error => {
+        if (error instanceof ParameterNotFound) return {}
+        throw error
+      })
+      if (!Parameter) return false
+
+      try {
+        await client.send(new PutParameterCommand({
+          Name: parameterName(secretName),
+          Value: Parameter.Value,
+          Type: 'SecureString',
+          Overwrite: false
+        }))
+      } catch (error) {
+        if (!(error instanceof ParameterAlreadyExists)) throw error
+      }
+      return true
+    },
+
+    async write(secretName, data, { description } = {}) {
+      const existing = await this.read(secretName)
+      const response = await client.send(new PutParameterCommand({
+        Name: parameterName(secretName),
+        Value: JSON.stringify(data),
+        Type: 'SecureString',
+        Description: description,
+        Overwrite: existing !== null
+      }))
+      return { created: existing === null, arn: parameterName(secretName), versionId: String(response.Version) }
+    },
+
+    async delete(secretName) {
+      try {
+        await client.send(new DeleteParameterCommand({ Name: parameterName(secretName) }))
+        return { arn: parameterName(secretName), deletionDate: undefined }
+      } catch (error) {
+        if (error instanceof ParameterNotFound) throw new SecretNotFoundError(secretName, label)
+        throw error
+      }
+    },
+
+    async list(prefix = '') {
+      const names = []
+      let NextToken
+      do {
+        const response = await client.send(new GetParametersByPathCommand({
+          Path: parameterName(prefix.replace(/\/$/, '')),
+          Recursive: true,
+          NextToken
+        }))
+        names.push(...response.Parameters.map(parameter => ({ name: parameter.Name.slice(1) })))
+        NextToken = response.NextToken
+      } while (NextToken)
+      return names
+    },
+
+    async versions(secretName) {
+      const history = []
+      let NextToken
+      do {
+        try {
+          const response = await client.send(new GetParameterHistoryCommand({
+            Name: parameterName(secretName),
+            NextToken
+          }))
+          history.push(...response.Parameters)
+          NextToken = response.NextToken
+        } catch (error) {
+          if (error instanceof ParameterNotFound) throw new SecretNotFoundError(secretName, label)
+          throw error
+        }
+      } while (NextToken)
+
+      const latest = Math.max(...history.map(entry => entry.Version))
+      return history
+        .map(entry => ({
+          versionId: String(entry.Version),
+          stages: entry.Labels || [],
+          current: entry.Version === latest,
+          createdAt: entry.LastModifiedDate
+        }))
+        .reverse()
+    },
+
+    // Parameter Store has no movable "current" label, so a rollback writes
+    // the old value again as a new version
+    async restore(secretName, versionId) {
+      const data = await this.read(secretName, { versionId })
+      if (!data) throw new SecretNotFoundError(`${secretName}:${versionId}`, label)
+      return await this.write(secretName, data)
+    }
+  }
+}
+
+/**
+ * Plain JSON files under a local directory, one file per secret keeping
+ * every written version. Meant for offline development and tests.
+ */
+export function createFileBackend({ dir = '.mysterio-secrets' } = {}) {
+  const root = resolvePath(dir)
+  const label = `file store (${root})`
+  const fileFor = secretName => path.join(root, `${secretName}.json`)
+
+  async function readStore(secretName) {
+    try {
+      const content = await fs.readFile(fileFor(secretName), 'utf-8')
+      return JSON.parse(content)
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  return {
+    type: 'file',
+    label,
+
+    async read(secretName, { versionId } = {}) {
+      const store = await readStore(secretName)
+      if (!store) return null
+      if (!versionId) return store.versions[store.versions.length - 1].data
+      return store.versions.find(version => version.versionId === versionId)?.data ?? null
+    },
+
+    // A local store needs no AWS credentials
+    async credentials() {
+      return null
+    },
+
+    async checkWrite(secretName) {
+      if (!await readStore(secretName)) return false
+      await fs.access(fileFor(secretName), fs.constants.W_OK)
+      return true
+    },
+
+    async write(secretName, data) {
+      const store = await readStore(secretName) || { versions: [] }
+      const versionId = crypto.randomUUID()
+      store.versions.push({ versionId, createdAt: new Date().toISOString(), data })
+
+      await fs.mkdir(path.dirname(fileFor(secretName)), { recursive: true })
+      await fs.writeFile(fileFor(secretName), JSON.stringify(store, null, 2))
+      return { created: store.versions.length === 1, arn: fileFor(secretName), versionId }
+    },
+
+    async delete(secretName) {
+      try {
+        await fs.unlink(fileFor(secretName))
+        return { arn: fileFor(secretName), deletionDate: undefined }
+      } catch (error) {
+        if (error.code === 'ENOENT') throw new SecretNotFoundError(secretName, label)
+        throw error
+      }
+    },
+
+    async list(prefix = '') {
+      const names = []
+      async function walk(current) {
+        let entries
+        try {
+          entries = await fs.readdir(current, { withFileTypes: true })
+        } catch (error) {
+          if (error.code === 'ENOENT') return
+          throw error
+        }
+        for (const entry of entries) {
+          const fullPath = path.join(current, entry.name)
+          if (entry.isDirectory()) {
+            await walk(fullPath)
+          } else if (entry.name.endsWith('.json')) {
+            const name = path.relative(root, fullPath).slice(0, -'.json'.length).split(path.sep).join('/')
+            if (name.startsWith(prefix)) names.push({ name })
+          }
+        }
+      }
+      await walk(root)
+      return names
+    },
+
+    async versions(secretName) {
+      const store = await readStore(secretName)
+      if (!store) throw new SecretNotFoundError(secretName, label)
+
+      return store.versions.map((version, index) => ({
+        versionId: version.versionId,
+        stages: [],
+        current: index === store.versions.length - 1,
+        createdAt: new Date(version.createdAt)
+      })).reverse()
+    },
+
+    async restore(secretName, versionId) {
+      const data = await this.read(secretName, { versionId })
+      if (!data) throw new SecretNotFoundError(`${secretName}@${versionId}`, label)
+      return await this.write(secretName, data)
+    }
+  }
+}
+
+/**
+ * A backend holding secrets in memory, for tests and scripts that pass it
+ * to createMysterio(). Versions are kept like the file backend's; `seed`
+ * maps secret names to their initial data.
+ */
+export function createMemoryBackend(seed = {}) {
+  const label = 'memory store'
+  const stores = new Map()
+
+  const backend = {
+    type: 'memory',
+    label,
+
+    async read(secretName, { versionId } = {}) {
+      const store = stores.get(secretName)
+      if (!store) return null
+      const version = versionId
+        ? store.versions.find(entry => entry.versionId === versionId)
+        : store.versions[store.versions.length - 1]
+      return version ? structuredClone(version.data) : null
+    },
+
+    async credentials() {
+      return null
+    },
+
+    async checkWrite(secretName) {
+      return stores.has(secretName)
+    },
+
+    async write(secretName, data) {
+      const store = stores.get(secretName) || { versions: [] }
+      const versionId = crypto.randomUUID()
+      store.versions.push({ versionId, createdAt: new Date(), data: structuredClone(data) })
+      stores.set(secretName, store)
+      return { created: store.versions.length === 1, arn: `memory:${secretName}`, versionId }
+    },
+
+    async delete(secretName) {
+      if (!stores.delete(secretName)) throw new SecretNotFoundError(secretName, label)
+      return { arn: `memory:${secretName}`, deletionDate: undefined }
+    },
+
+    async list(prefix = '') {
+      return [...stores.keys()].filter(name => name.startsWith(prefix)).map(name => ({ name }))
+    },
+
+    async versions(secretName) {
+      const store = stores.get(secretName)
+      if (!store) throw new SecretNotFoundError(secretName, label)
+
+      return store.versions.map((version, index) => ({
+        versionId: version.versionId,
+        stages: [],
+        current: index === store.versions.length - 1,
+        createdAt: version.createdAt
+      })).reverse()
+    },
+
+    async restore(secretName, versionId) {
+      const data = await backend.read(secretName, { versionId })
+      if (!data) throw new SecretNotFoundError(`${secretName}@${versionId}`, label)
+      return await backend.write(secretName, data)
+    }
+  }
+
+  for (const [secretName, data] of Object.entries(seed)) {
+    stores.set(secretName, { versions: [{ versionId: crypto.randomUUID(), createdAt: new Date(), data: structuredClone(data) }] })
+  }
+
+  return withStatus(backend)
+}
@@ -0,0 +1,43 @@
+import { logger } from './context.mjs'
+
+/**
+ * Map over items with at most `limit` calls of `fn` in flight. Results keep
+ * the order of the items.
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit || 1, items.length))
+  await Promise.all(Array.from({ length: workers }, worker))
+  return results
+}
+
+export const OUTCOMES = ['created', 'updated', 'unchanged', 'deleted', 'failed', 'skipped']
+
+/**
+ * Print a table of per-environment outcomes, `[{ env, outcome, detail }]`,
+ * followed by totals
+ */
+export function printSummary(title, results) {
+  const width = Math.max(3, ...results.map(result => result.env.length))
+
+  logger.log(`\n📊 ${title}`)
+  logger.log(`  ${'ENV'.padEnd(width)}  ${'OUTCOME'.padEnd(9)}  DETAIL`)
+  for (const { env, outcome, detail } of results) {
+    logger.log(`  ${env.padEnd(width)}  ${outcome.padEnd(9)}  ${detail || ''}`.trimEnd())
+  }
+
+  const totals = OUTCOMES
+    .map(outcome => [outcome, results.filter(result => result.outcome === outcome).length])
+    .filter(([outcome, count]) => count > 0 || outcome !== 'deleted')
+    .map(([outcome, count]) => `${count} ${outcome}`)
+  logger.log(`  Total: ${totals.join(', ')}`)
+}
@@ -2,14 +2,9 @@
 
 import util from 'node:util'
 import { Command } from 'commander'
-import {
-  initMysterio,
-  getConfig,
-  setConfig,
-  awsCommand,
-  envCommand
-} from './index.mjs'
+import { createMysterio } from './index.mjs'
 import { config } from './config.mjs'
+import { exitCodeFor, EXIT_CODES } from './errors.mjs'
 
 const debug = util.debuglog('mysterio-cli')
 const program = new Command()
@@ -18,6 +13,43 @@ program
   .name('mysterio')
   .description('CLI tool for Mysterio - configuration and secrets management')
   .version('1.0.0')
+  .option('--dry-run', 'Print a plan of every file write and AWS call without performing any')
+  .option('--reveal', 'Show sensitive values instead of masking them')
+  .option('-y, --yes', 'Answer yes to confirmations and take the default for other prompts')
+  .option('--non-interactive', 'Never prompt, fail when an answer is not given by a flag (default without a TTY)')
+  .option('--json', 'Print one JSON result object instead of progress messages (implies --non-interactive)')
+  .exitOverride()
+
+// The commands, set up with the global options before each action runs
+let mysterio
+
+// Global options apply to whichever subcommand runs
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const { dryRun, reveal, yes, nonInteractive, json } = program.opts()
+  if (dryRun) {
+    actionCommand.setOptionValue('dryRun', true)
+  }
+  if (reveal) {
+    actionCommand.setOptionValue('reveal', true)
+  }
+
+  // The JSON object is the only output, so progress messages are dropped
+  mysterio = createMysterio({
+    yes,
+    interactive: nonInteractive || json ? false : undefined,
+    logger: json ? undefined : console
+  })
+})
+
+// What the running command resolved to, for --json
+let commandResult
+
+function output(action) {
+  return async (...args) => {
+    commandResult = await action(...args)
+    return commandResult
+  }
+}
 
 // Core command 1: Initialize project
 program.command('init')
@@ -26,49 +58,204 @@ program.command('init')
   .option('-d, --config-dir <path>', 'Configuration directory path', './config')
   .option('-e, --environments <envs...>', 'Initial environments to create', ['local', 'development', 'production'])
   .option('--aws-region <region>', 'AWS region for secrets manager', 'us-east-1')
-  .action(initMysterio)
+  .action(output(options => mysterio.init(options)))
 
 // Core command 2: Get configuration
-program.command('get')
-  .description('Get configuration from any source')
+program.command('get [key]')
+  .description('Get configuration from any source, or a single value by dot path')
   .option('-e, --env <environment>', 'Environment', process.env.NODE_ENV || 'local')
-  .option('-s, --source <type>', 'Source: local|aws|merged (default: merged)')
-  .option('-f, --format <format>', 'Output format: json|env (default: json)')
+  .option('-s, --source <type>', 'Source: local|vault|aws|merged (default: merged)')
+  .option('-f, --format <format>', 'Output format: json|env|export|yaml|k8s-secret|k8s-configmap|docker|tfvars (default: json)')
+  .option('--name <name>', 'Manifest name for k8s formats (default: <packageName>-<env>)')
   .option('-d, --config-dir <path>', 'Configuration directory', './config')
   .option('--save <file>', 'Save output to file')
-  .action(getConfig)
+  .option('-w, --watch', 'With --save: rewrite the file whenever the configuration changes')
+  .option('--interval <seconds>', 'With --watch: how often to poll the AWS secret, 0 to never (default: 30)', parseFloat)
+  .option('--exec <command>', 'With --watch: run this command and restart it after each rewrite')
+  .option('--signal <signal>', 'With --exec: send this signal instead of restarting, e.g. SIGHUP')
+  .option('--raw', 'Print ${ref:}, ${env:} and ${secret:} placeholders instead of expanding them')
+  .option('--package <name>', 'Workspace package to operate on (monorepo)')
+  .option('--all-packages', 'Operate on every workspace package (monorepo)')
+  .action(output((key, options) => mysterio.get({ ...options, key })))
 
 // Core command 3: Set configuration
 program.command('set <key> [value]')
   .description('Set configuration values')
   .option('-e, --env <environment>', 'Target environment', process.env.NODE_ENV || 'local')
-  .option('-t, --target <type>', 'Target: local|aws|both (default: local)')
+  .option('-t, --target <type>', 'Target: local|aws|both|vault (default: local, or by key classification)')
   .option('-d, --config-dir <path>', 'Configuration directory', './config')
   .option('-i, --interactive', 'Interactive mode for multiple values')
-  .action(setConfig)
+  .option('--no-validate', 'Skip validation against config/schema.json')
+  .option('--package <name>', 'Workspace package to operate on (monorepo)')
+  .option('--all-packages', 'Operate on every workspace package (monorepo)')
+  .action(output((key, value, options) => mysterio.set(key, value, options)))
+
+program.command('unset <key>')
+  .description('Remove a configuration key or subtree')
+  .option('-e, --env <environment>', 'Target environment', process.env.NODE_ENV || 'local')
+  .option('-t, --target <type>', 'Target: local|aws|both|vault (default: local, or by key classification)')
+  .option('-d, --config-dir <path>', 'Configuration directory', './config')
+  .option('--package <name>', 'Workspace package to operate on (monorepo)')
+  .option('--all-packages', 'Operate on every workspace package (monorepo)')
+  .action(output((key, options) => mysterio.unset(key, options)))
+
+program.command('import <file>')
+  .description('Import a dotenv, YAML, JSON or Kubernetes Secret/ConfigMap file')
+  .option('-e, --env <environment>', 'Target environment', process.env.NODE_ENV || 'local')
+  .option('-t, --target <type>', 'Target: local|aws|both|vault (default: local, or by key classification)')
+  .option('-d, --config-dir <path>', 'Configuration directory', './config')
+  .option('-f, --format <format>', 'Input format: env|yaml|json (default: from file extension)')
+  .option('--key-style <style>', 'Key style: auto|camel|keep (default: auto)')
+  .option('--no-validate', 'Skip validation against config/schema.json')
+  .action(output((file, options) => mysterio.import(file, options)))
 
 // Core command 4: Environment management
 program.command('env <action> [name]')
   .description('Manage environments (create|list|delete)')
   .option('-d, --config-dir <path>', 'Configuration directory path', './config')
   .option('--from <env>', 'Use existing environment as template')
+  .option('--extends <env>', 'Inherit from an existing environment instead of copying it')
   .option('--with-aws', 'Also manage in AWS Secrets Manager', false)
   .option('--show-aws', 'Show AWS status when listing', false)
+  .option('--concurrency <n>', 'AWS lookups in parallel with --show-aws (default: 4)', parseInt)
   .option('--force', 'Force deletion without recovery (AWS)', false)
   .option('--days <days>', 'Recovery window days for AWS (7-30)', parseInt)
-  .action(envCommand)
+  .option('--package <name>', 'Workspace package to operate on (monorepo)')
+  .option('--all-packages', 'Operate on every workspace package (monorepo)')
+  .action(output((action, name, options) => mysterio.env(action, name, options)))
 
 // Core command 5: AWS operations
-program.command('aws <action>')
-  .description('AWS Secrets Manager operations (push|pull|sync|delete)')
+program.command('aws <action> [key]')
+  .description('AWS Secrets Manager operations (push|pull|sync|status|history|rollback|rotate|delete)')
   .option('-e, --env <environment>', 'Target environment', process.env.NODE_ENV || 'local')
   .option('-p, --package-name <name>', 'Package name')
-  .option('-r, --region <region>', 'AWS region', 'us-east-1')
+  .option('-r, --region <region>', 'Primary AWS region (default: awsRegion from .mysteriorc)')
   .option('-d, --config-dir <path>', 'Configuration directory', './config')
   .option('--override', 'Override existing without prompting')
-  .option('--prefer <source>', 'For sync: prefer local|aws (default: local)')
+  .option('--prefer <source>', 'For sync: resolve conflicts with local|aws (default: ask)')
+  .option('--from <versionId>', 'For history: diff from this version (default: the one before --to)')
+  .option('--to <versionId>', 'For history: diff to this version (default: current)')
+  .option('--version-id <versionId>', 'For rollback: version to make current')
+  .option('--previous', 'For rollback: restore the version before the current one')
+  .option('--generator <type>', 'For rotate: password|hex|base64|uuid (default: from .mysteriorc, else password)')
+  .option('--length <n>', 'For rotate: characters for password, bytes for hex/base64 (default: 32)', parseInt)
+  .option('--charset <charset>', 'For rotate: alnum|alpha|numeric|symbols, or the characters to use (default: alnum)')
+  .option('--all-stale', 'For rotate: rotate every key under rotation.keys older than --max-age')
+  .option('--max-age <days>', 'For rotate --all-stale: age in days (default: rotation.maxAgeDays)', parseInt)
   .option('--force', 'For delete: immediate deletion without recovery')
   .option('--days <days>', 'For delete: recovery window days (7-30)', parseInt)
-  .action(awsCommand)
+  .option('--no-validate', 'For push/sync: skip validation against config/schema.json')
+  .option('--all-envs', 'For push/pull/sync/rotate/delete: run for every environment')
+  .option('--envs <list>', 'For push/pull/sync/rotate/delete: run for these comma-separated environments')
+  .option('--concurrency <n>', 'Environments processed in parallel with --all-envs/--envs (default: 4)', parseInt)
+  .option('--package <name>', 'Workspace package to operate on (monorepo)')
+  .option('--all-packages', 'Operate on every workspace package (monorepo)')
+  .action(output(async (action, key, options) => {
+    const result = await mysterio.aws(action, { ...options, key })
+    // Exit 1 when status finds a region out of date, or a bulk run had failures
+    if (result?.drift || result?.failed) {
+      process.exitCode = EXIT_CODES.result
+    }
+    return result
+  }))
+
+// Core command 6: Compare configuration sources
+program.command('diff [left] [right]')
+  .description('Compare two sources key by key (<source>:<env>, source: local|vault|aws|merged)')
+  .option('-e, --env <environment>', 'Default environment for both sides', process.env.NODE_ENV || 'local')
+  .option('-p, --package-name <name>', 'Package name')
+  .option('-r, --region <region>', 'AWS region')
+  .option('-d, --config-dir <path>', 'Configuration directory', './config')
+  .action(output(async (left, right, options) => {
+    const result = await mysterio.diff(left, right, options)
+    // Exit 1 when the sources differ
+    process.exitCode = result.drift ? EXIT_CODES.result : EXIT_CODES.ok
+    return result
+  }))
+
+// Core command 7: Run a process with configuration in its environment
+program.command('run <command> [args...]')
+  .description('Run a command with resolved configuration as environment variables (use -- before the command)')
+  .option('-e, --env <environment>', 'Environment', process.env.NODE_ENV || 'local')
+  .option('-s, --source <type>', 'Source: local|vault|aws|merged (default: merged)')
+  .option('-d, --config-dir <path>', 'Configuration directory', './config')
+  .option('--only <keys...>', 'Only export these keys (config or env var names)')
+  .option('--prefix <prefix>', 'Only export variables whose name starts with prefix')
+  .option('--keep-env', 'Existing process environment wins over configuration')
+  .option('--raw', 'Export ${ref:}, ${env:} and ${secret:} placeholders without expanding them')
+  .action(output(async (command, args, options) => {
+    process.exitCode = await mysterio.run(command, args, options)
+    return { exitCode: process.exitCode }
+  }))
+
+// Core command 8: Validate configuration against the schema
+program.command('validate')
+  .description('Validate configuration against config/schema.json')
+  .option('-e, --env <environment>', 'Environment', process.env.NODE_ENV || 'local')
+  .option('-a, --all', 'Validate every environment')
+  .option('-s, --source <type>', 'Source: local|vault|aws|merged (default: merged)')
+  .option('-d, --config-dir <path>', 'Configuration directory', './config')
+  .action(output(async (options) => {
+    const result = await mysterio.validate(options)
+    // Exit 1 when any environment is invalid
+    process.exitCode = result.valid ? EXIT_CODES.ok : EXIT_CODES.result
+    return result
+  }))
+
+// Core command 9: Query the audit log
+program.command('audit')
+  .description('Show recorded configuration changes (values are hashed)')
+  .option('-e, --env <environment>', 'Only changes to this environment')
+  .option('-k, --key <key>', 'Only changes to this key or anything nested under it')
+  .option('--since <date>', 'Only changes at or after this date/time')
+  .option('--until <date>', 'Only changes at or before this date/time')
+  .action(output(options => mysterio.audit(options)))
+
+// Core command 10: Diagnose setup, credentials and permissions
+program.command('doctor')
+  .description('Check project setup, AWS credentials and access to each environment\'s secret')
+  .option('-p, --package-name <name>', 'Package name')
+  .option('-r, --region <region>', 'Primary AWS region (default: awsRegion from .mysteriorc)')
+  .option('-d, --config-dir <path>', 'Configuration directory', './config')
+  .action(output(async (options) => {
+    const result = await mysterio.doctor(options)
+    // Exit 1 when any check failed
+    process.exitCode = result.ok ? EXIT_CODES.ok : EXIT_CODES.result
+    return result
+  }))
+
+// Core command 11: Serve configuration over HTTP
+program.command('serve')
+  .description('Serve resolved configuration over HTTP at /v1/config/:env[/:key]')
+  .option('-p, --package-name <name>', 'Package name')
+  .option('-r, --region <region>', 'AWS region')
+  .option('-d, --config-dir <path>', 'Configuration directory', './config')
+  .option('-s, --source <type>', 'Source: local|vault|aws|merged (default: merged)')
+  .option('--host <host>', 'Address to listen on (default: 127.0.0.1)')
+  .option('--port <port>', 'Port to listen on (default: 7777)', parseInt)
+  .option('--token <token>', 'Bearer token clients must send (default: MYSTERIO_SERVE_TOKEN, else generated)')
+  .option('--ttl <seconds>', 'How long resolved configuration is cached (default: 30)', parseFloat)
+  .action(output(options => mysterio.serve(options)))
+
+let failure
+try {
+  await program.parseAsync()
+} catch (error) {
+  failure = error
+  // Commander has already printed usage errors, --help and --version
+  process.exitCode = error.code?.startsWith('commander.')
+    ? (error.exitCode === 0 ? EXIT_CODES.ok : EXIT_CODES.error)
+    : exitCodeFor(error)
+}
 
-program.parse()
\ No newline at end of file
+if (program.opts().json && !failure?.code?.startsWith('commander.')) {
+  process.stdout.write(`${JSON.stringify({
+    ok: !failure,
+    command: program.args[0],
+    result: commandResult ?? null,
+    writes: mysterio?.writes() ?? [],
+    ...(failure && {
+      error: { name: failure.name, message: failure.message, exitCode: process.exitCode, ...(failure.hint && { hint: failure.hint }) }
+    })
+  }, null, 2)}\n`)
+}
\ No newline at end of file
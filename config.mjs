@@ -1,27 +1,64 @@
 import rc from 'rc'
 import fs from 'node:fs'
 import path from 'node:path'
-import { fileURLToPath } from 'node:url'
+import { currentContext } from './context.mjs'
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url))
-
-let defaultPackageName = null
-try {
-  const packageJsonPath = path.join(process.cwd(), 'package.json')
-  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'))
-  defaultPackageName = packageJson.name
-} catch (error) {
-  // Ignore if package.json doesn't exist or can't be read
-}
-
-export const config = rc('mysterio-cli', {
+const BUILT_IN = {
   configDirPath: './config',
   localRCPath: '.mysteriorc',
+  syncStatePath: '.mysterio-sync.json',
+  auditLogPath: '.mysterio-audit.jsonl',
   env: process.env.NODE_ENV || 'local',
-  packageName: defaultPackageName,
   awsParams: {
     region: process.env.AWS_REGION || 'us-east-1'
   },
   awsRegion: process.env.AWS_REGION || 'us-east-1',
-  debug: process.env.DEBUG === 'mysterio-cli'
-})
\ No newline at end of file
+  debug: process.env.DEBUG === 'mysterio-cli',
+  backend: 'secrets-manager'
+}
+
+function readJsonSync(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'))
+  } catch (error) {
+    // Ignore if the file doesn't exist or can't be read
+    return null
+  }
+}
+
+/**
+ * Settings for a project in `cwd`: the built-in defaults, the package name
+ * from package.json, then .mysteriorc, then rc's own sources (argv, env,
+ * .mysterio-clirc files)
+ */
+export function loadConfig(cwd = process.cwd()) {
+  return rc('mysterio-cli', {
+    ...BUILT_IN,
+    packageName: readJsonSync(path.join(cwd, 'package.json'))?.name ?? null,
+    ...readJsonSync(path.join(cwd, '.mysteriorc'))
+  })
+}
+
+/**
+ * Settings given in code over the built-in defaults, without reading any
+ * file, for createMysterio({ config })
+ */
+export function createConfig(settings = {}) {
+  return { ...BUILT_IN, packageName: null, ...settings }
+}
+
+const loaded = loadConfig()
+
+// The settings of the current createMysterio() call, or the ones loaded
+// from the working directory
+const active = () => currentContext().config || loaded
+
+export const config = new Proxy({}, {
+  get: (target, key) => active()[key],
+  has: (target, key) => key in active(),
+  ownKeys: () => Reflect.ownKeys(active()),
+  getOwnPropertyDescriptor: (target, key) => {
+    const descriptor = Reflect.getOwnPropertyDescriptor(active(), key)
+    return descriptor && { ...descriptor, configurable: true }
+  }
+})
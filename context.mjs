@@ -0,0 +1,51 @@
+import path from 'node:path'
+import { AsyncLocalStorage } from 'node:async_hooks'
+
+const storage = new AsyncLocalStorage()
+
+/**
+ * Run `fn` with the dependencies of a createMysterio() instance:
+ *
+ *   config         - settings in place of .mysteriorc and the rc sources
+ *   backend        - secrets backend used for every AWS read and write
+ *   secretsClient  - SecretsManagerClient for the primary region
+ *   prompts        - { confirm, input, select, password } like @inquirer/prompts
+ *   yes            - answer prompts as --yes does
+ *   interactive    - false to never prompt, as --non-interactive does
+ *   logger         - { log, info, warn, error }, console by default
+ *   cwd            - directory relative paths are resolved against
+ *   writes         - array collecting the audit records of the writes made
+ *
+ * Code running outside such a call sees an empty context and uses the
+ * process-wide defaults.
+ */
+export function runWithContext(context, fn) {
+  return storage.run(context, fn)
+}
+
+export function currentContext() {
+  return storage.getStore() || {}
+}
+
+/**
+ * path.resolve() against the working directory of the current context
+ */
+export function resolvePath(...segments) {
+  return path.resolve(currentContext().cwd || process.cwd(), ...segments)
+}
+
+// Progress messages go to the current context's logger
+export const logger = Object.fromEntries(['log', 'info', 'warn', 'error'].map(method => [
+  method,
+  (...args) => {
+    const target = currentContext().logger || console
+    return (target[method] || target.log).apply(target, args)
+  }
+]))
+
+export const silentLogger = {
+  log() {},
+  info() {},
+  warn() {},
+  error() {}
+}
@@ -0,0 +1,195 @@
+const MASK = '********'
+
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Flatten a nested config object into dot-path keys. Arrays and empty
+ * objects are treated as leaf values.
+ */
+export function flattenConfig(obj, prefix = '', result = {}) {
+  for (const [key, value] of Object.entries(obj || {})) {
+    const keyPath = prefix ? `${prefix}.${key}` : key
+
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flattenConfig(value, keyPath, result)
+    } else {
+      result[keyPath] = value
+    }
+  }
+
+  return result
+}
+
+/**
+ * Inverse of flattenConfig: expand dot-path keys back into nested objects
+ */
+export function unflattenConfig(flat) {
+  const result = {}
+
+  for (const [keyPath, value] of Object.entries(flat)) {
+    const parts = keyPath.split('.')
+    let node = result
+
+    for (const part of parts.slice(0, -1)) {
+      if (!isPlainObject(node[part])) {
+        node[part] = {}
+      }
+      node = node[part]
+    }
+
+    node[parts[parts.length - 1]] = value
+  }
+
+  return result
+}
+
+/**
+ * Value at a dot path, or undefined. A literal top-level key containing
+ * dots wins over the nested lookup.
+ */
+export function getPath(obj, keyPath) {
+  if (obj && Object.hasOwn(obj, keyPath)) {
+    return obj[keyPath]
+  }
+
+  let node = obj
+  for (const part of keyPath.split('.')) {
+    if (!isPlainObject(node) || !Object.hasOwn(node, part)) return undefined
+    node = node[part]
+  }
+  return node
+}
+
+/**
+ * Copy of `obj` with the value at a dot path set, creating intermediate
+ * objects as needed
+ */
+export function setPath(obj, keyPath, value) {
+  if (obj && Object.hasOwn(obj, keyPath)) {
+    return { ...obj, [keyPath]: value }
+  }
+
+  const [head, ...rest] = keyPath.split('.')
+  const result = { ...obj }
+
+  result[head] = rest.length === 0
+    ? value
+    : setPath(isPlainObject(result[head]) ? result[head] : {}, rest.join('.'), value)
+
+  return result
+}
+
+/**
+ * Copy of `obj` without the key or subtree at a dot path. Objects left
+ * empty by the removal are removed too. Returns `{ result, removed }`.
+ */
+export function unsetPath(obj, keyPath) {
+  if (!obj) {
+    return { result: obj, removed: false }
+  }
+
+  if (Object.hasOwn(obj, keyPath)) {
+    const { [keyPath]: _, ...result } = obj
+    return { result, removed: true }
+  }
+
+  const [head, ...rest] = keyPath.split('.')
+  if (rest.length === 0 || !isPlainObject(obj[head])) {
+    return { result: obj, removed: false }
+  }
+
+  const { result: child, removed } = unsetPath(obj[head], rest.join('.'))
+  if (!removed) {
+    return { result: obj, removed }
+  }
+
+  const result = {}
+  for (const [key, value] of Object.entries(obj)) {
+    if (key !== head) {
+      result[key] = value
+    } else if (Object.keys(child).length > 0) {
+      result[key] = child
+    }
+  }
+  return { result, removed }
+}
+
+/**
+ * Key-level comparison of two config objects. Keys only in `right` are
+ * reported as added, keys only in `left` as removed.
+ */
+export function diffConfigs(left, right) {
+  const flatLeft = flattenConfig(left)
+  const flatRight = flattenConfig(right)
+  const diff = { added: [], removed: [], changed: [] }
+
+  for (const [keyPath, value] of Object.entries(flatRight)) {
+    if (!(keyPath in flatLeft)) {
+      diff.added.push({ path: keyPath, value })
+    } else if (JSON.stringify(flatLeft[keyPath]) !== JSON.stringify(value)) {
+      diff.changed.push({ path: keyPath, from: flatLeft[keyPath], to: value })
+    }
+  }
+
+  for (const [keyPath, value] of Object.entries(flatLeft)) {
+    if (!(keyPath in flatRight)) {
+      diff.removed.push({ path: keyPath, value })
+    }
+  }
+
+  for (const list of Object.values(diff)) {
+    list.sort((a, b) => a.path.localeCompare(b.path))
+  }
+
+  return diff
+}
+
+export function hasChanges(diff) {
+  return diff.added.length + diff.removed.length + diff.changed.length > 0
+}
+
+export function maskValue(value, reveal = false) {
+  if (reveal) {
+    return typeof value === 'string' ? value : JSON.stringify(value)
+  }
+  return MASK
+}
+
+/**
+ * A diff with the values of sensitive keys replaced by the mask, for
+ * structured output. `sensitivity` comes from createSensitivity(); without
+ * one every value is masked.
+ */
+export function maskDiff(diff, sensitivity) {
+  const mask = (keyPath, value) => sensitivity && !sensitivity.isSensitive(keyPath) ? value : MASK
+  return {
+    added: diff.added.map(({ path: keyPath, value }) => ({ path: keyPath, value: mask(keyPath, value) })),
+    removed: diff.removed.map(({ path: keyPath, value }) => ({ path: keyPath, value: mask(keyPath, value) })),
+    changed: diff.changed.map(({ path: keyPath, from, to }) => ({ path: keyPath, from: mask(keyPath, from), to: mask(keyPath, to) }))
+  }
+}
+
+/**
+ * Render a diff as indented +/-/~ lines. Values of the keys `sensitivity`
+ * flags, or every value without one, are masked unless `reveal` is set.
+ */
+export function formatDiff(diff, { reveal = false, indent = '  ', sensitivity } = {}) {
+  const show = (keyPath, value) => reveal || (sensitivity && !sensitivity.isSensitive(keyPath))
+    ? maskValue(value, true)
+    : MASK
+  const lines = []
+
+  for (const { path: keyPath, value } of diff.added) {
+    lines.push(`${indent}+ ${keyPath}: ${show(keyPath, value)}`)
+  }
+  for (const { path: keyPath, value } of diff.removed) {
+    lines.push(`${indent}- ${keyPath}: ${show(keyPath, value)}`)
+  }
+  for (const { path: keyPath, from, to } of diff.changed) {
+    lines.push(`${indent}~ ${keyPath}: ${show(keyPath, from)} → ${show(keyPath, to)}`)
+  }
+
+  return lines.join('\n')
+}
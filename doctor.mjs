@@ -0,0 +1,256 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { config } from './config.mjs'
+import { logger, resolvePath } from './context.mjs'
+import { readEnvConfig, readJson } from './resolve.mjs'
+import { createBackend } from './backends.mjs'
+import { mapConcurrent } from './bulk.mjs'
+import { exitCodeFor, EXIT_CODES } from './errors.mjs'
+
+// Settings .mysteriorc may hold, with the type each must have
+const RC_KEYS = {
+  packageName: 'string',
+  configDirPath: 'string',
+  awsRegion: 'string',
+  regions: 'string[]',
+  regionReplication: 'string',
+  backend: 'string|object',
+  secretKeys: 'string[]',
+  sensitiveKeys: 'string[]',
+  workspaces: 'string[]',
+  auditLogPath: 'string|false',
+  syncStatePath: 'string',
+  vaultKeyFile: 'string',
+  hashKeyPath: 'string',
+  rotation: 'object'
+}
+
+// Characters Secrets Manager accepts in a secret name
+const SECRET_NAME = /^[A-Za-z0-9/_+=.@-]+$/
+
+const CREDENTIALS_HINT = 'Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY, run `aws configure` or `aws sso login`, or use an IAM role'
+
+/**
+ * Print a pointer to `mysterio doctor` after an AWS credentials or
+ * permissions error
+ */
+export function printAwsHint(error) {
+  if (exitCodeFor(error) === EXIT_CODES.auth) {
+    logger.log('\n💡 AWS rejected the credentials or the request. Run `mysterio doctor` to check')
+    logger.log('   the credential chain, region and permissions')
+  }
+}
+
+function check(name, status, message, hint) {
+  return { name, status, message, ...(hint && { hint }) }
+}
+
+function typeOf(value) {
+  if (value === false) return 'false'
+  if (Array.isArray(value)) return value.every(item => typeof item === 'string') ? 'string[]' : 'array'
+  return value === null ? 'null' : typeof value
+}
+
+// A file's contents, or why it couldn't be read, without throwing
+async function inspectJson(file) {
+  try {
+    const data = await readJson(file)
+    return data === null ? { missing: true } : { data }
+  } catch (error) {
+    return { error }
+  }
+}
+
+async function checkRC(rcPath) {
+  const { data, missing, error } = await inspectJson(rcPath)
+  if (missing) {
+    return check('.mysteriorc', 'warn', `not found at ${rcPath}`, 'Run `mysterio init` to create it')
+  }
+  if (error) {
+    return check('.mysteriorc', 'fail', `cannot be parsed: ${error.message}`, 'Fix the JSON syntax')
+  }
+  if (typeOf(data) !== 'object') {
+    return check('.mysteriorc', 'fail', 'must hold a JSON object', 'Wrap the settings in { }')
+  }
+
+  const wrongTypes = Object.entries(data)
+    .filter(([key, value]) => RC_KEYS[key] && !RC_KEYS[key].split('|').includes(typeOf(value)))
+    .map(([key]) => `${key} (expected ${RC_KEYS[key].replace('|', ' or ')})`)
+  if (wrongTypes.length > 0) {
+    return check('.mysteriorc', 'fail', `wrong type for ${wrongTypes.join(', ')}`, 'See "Configuration Structure" in the README')
+  }
+
+  const unknown = Object.keys(data).filter(key => !RC_KEYS[key] && key !== 'awsParams')
+  if (unknown.length > 0) {
+    return check('.mysteriorc', 'warn', `unknown setting(s): ${unknown.join(', ')}`, `Check the spelling. Known settings: ${Object.keys(RC_KEYS).join(', ')}`)
+  }
+
+  return check('.mysteriorc', 'pass', rcPath)
+}
+
+async function checkPackageName(rcPath, packageName) {
+  if (!packageName) {
+    return check('packageName', 'fail', 'not set', 'Set "packageName" in .mysteriorc, or a "name" in package.json')
+  }
+
+  const rc = (await inspectJson(rcPath)).data
+  const packageJson = (await inspectJson(resolvePath('package.json'))).data
+  const source = packageName !== config.packageName
+    ? '--package-name'
+    : rc?.packageName === packageName
+    ? '.mysteriorc'
+    : packageJson?.name === packageName
+    ? 'package.json'
+    : 'mysterio-cli rc settings (environment or .mysterio-clirc)'
+
+  if (!SECRET_NAME.test(packageName)) {
+    return check('packageName', 'warn', `'${packageName}' from ${source} has characters AWS does not allow in secret names`, 'Use letters, digits and /_+=.@- only')
+  }
+  return check('packageName', 'pass', `'${packageName}' from ${source}`)
+}
+
+async function checkConfigDir(configDir) {
+  let files
+  try {
+    files = (await fs.readdir(configDir)).filter(file => file.endsWith('.json'))
+  } catch (error) {
+    const hint = error.code === 'ENOENT' ? 'Run `mysterio init`, or set "configDirPath" in .mysteriorc' : undefined
+    return { envs: [], result: check('config dir', 'fail', `${configDir}: ${error.message}`, hint) }
+  }
+
+  const broken = []
+  for (const file of files) {
+    const { error } = await inspectJson(path.join(configDir, file))
+    if (error) broken.push(`${file} (${error.message})`)
+  }
+
+  const envs = files
+    .filter(file => file !== 'default.json' && file !== 'schema.json')
+    .map(file => file.replace('.json', ''))
+  for (const env of envs) {
+    if (broken.some(entry => entry.startsWith(`${env}.json `))) continue
+    try {
+      await readEnvConfig(configDir, env)
+    } catch (error) {
+      broken.push(`${env}.json (${error.message})`)
+    }
+  }
+
+  if (broken.length > 0) {
+    return { envs, result: check('config dir', 'fail', `cannot read ${broken.join('; ')}`, 'Fix the JSON syntax or the "extends" chain') }
+  }
+  if (envs.length === 0) {
+    return { envs, result: check('config dir', 'warn', `${configDir} has no environments`, 'Create one with `mysterio env create <name>`') }
+  }
+  return { envs, result: check('config dir', 'pass', `${configDir}: ${envs.length} environment(s), ${envs.join(', ')}`) }
+}
+
+async function checkDefaults(configDir) {
+  const file = path.join(configDir, 'default.json')
+  const { data, missing, error } = await inspectJson(file)
+
+  if (missing) {
+    return check('default.json', 'warn', `not found at ${file}`, 'Create it for settings shared by every environment')
+  }
+  if (error) {
+    return check('default.json', 'fail', `cannot be parsed: ${error.message}`, 'Fix the JSON syntax')
+  }
+
+  // An environment file copied over it, or a re-run of init for another project
+  if (data.environment !== undefined) {
+    return check('default.json', 'warn', `sets "environment": "${data.environment}", so it looks like an environment file`, 'Restore default.json from version control')
+  }
+  if (data.packageName && config.packageName && data.packageName !== config.packageName) {
+    return check('default.json', 'warn', `has packageName '${data.packageName}', but the project resolves '${config.packageName}'`, 'It may have been overwritten by `mysterio init`. Restore it from version control')
+  }
+  return check('default.json', 'pass', file)
+}
+
+// Where the region comes from, in createBackend's order of precedence
+function regionSource(region, rc) {
+  if (region) return '--region'
+  if (rc?.awsRegion) return 'awsRegion in .mysteriorc'
+  if (process.env.AWS_REGION) return 'AWS_REGION'
+  return null
+}
+
+async function checkCredentials(backend, region, rc) {
+  if (backend.type === 'file' || backend.type === 'memory') {
+    return { ok: true, results: [check('AWS', 'pass', `not needed, secrets are kept in the ${backend.label}`)] }
+  }
+
+  const regions = (backend.regions || [backend.region]).join(', ')
+  const source = regionSource(region, rc)
+  const regionResult = source
+    ? check('AWS region', 'pass', `${regions} from ${source}`)
+    : check('AWS region', 'warn', `${regions} (built-in default)`, 'Set "awsRegion" in .mysteriorc or AWS_REGION')
+
+  try {
+    const credentials = await backend.credentials()
+    const key = credentials.accessKeyId ? `${credentials.accessKeyId.slice(0, 4)}…${credentials.accessKeyId.slice(-4)}` : 'resolved'
+    const expiry = credentials.expiration ? `, expires ${new Date(credentials.expiration).toISOString()}` : ''
+    return { ok: true, results: [regionResult, check('AWS credentials', 'pass', `access key ${key}${expiry}`)] }
+  } catch (error) {
+    return { ok: false, results: [regionResult, check('AWS credentials', 'fail', error.message, CREDENTIALS_HINT)] }
+  }
+}
+
+async function checkSecret(backend, secretName) {
+  const name = `secret ${secretName}`
+  const isDenied = error => exitCodeFor(error) === EXIT_CODES.auth
+  const action = verb => backend.type === 'ssm' ? `ssm:${verb === 'read' ? 'GetParameter' : 'PutParameter'}` : `secretsmanager:${verb === 'read' ? 'GetSecretValue' : 'UpdateSecret'}`
+
+  let data
+  try {
+    data = await backend.read(secretName)
+  } catch (error) {
+    return isDenied(error)
+      ? check(name, 'fail', `reading is denied: ${error.message}`, `Grant ${action('read')} on this secret`)
+      : check(name, 'fail', `unreachable: ${error.message}`)
+  }
+  if (!data) {
+    const env = secretName.split('/').at(-1)
+    return check(name, 'warn', `not found in ${backend.label}`, `Create it with \`mysterio aws push --env ${env}\``)
+  }
+
+  try {
+    await backend.checkWrite(secretName)
+    return check(name, 'pass', 'readable and writable')
+  } catch (error) {
+    return isDenied(error)
+      ? check(name, 'fail', `readable, but writing is denied: ${error.message}`, `Grant ${action('write')} on this secret`)
+      : check(name, 'fail', `readable, but the write check failed: ${error.message}`)
+  }
+}
+
+/**
+ * Diagnose the project setup, credentials and permissions. Resolves to
+ * `[{ name, status, message, hint }]` with status pass, warn or fail; the
+ * write check never changes a secret.
+ */
+export async function runChecks({ configDir, region, packageName = config.packageName }) {
+  const rcPath = resolvePath(config.localRCPath || '.mysteriorc')
+  const results = [
+    await checkRC(rcPath),
+    await checkPackageName(rcPath, packageName)
+  ]
+
+  const { envs, result } = await checkConfigDir(configDir)
+  results.push(result, await checkDefaults(configDir))
+
+  let backend
+  try {
+    backend = createBackend({ region })
+  } catch (error) {
+    return [...results, check('backend', 'fail', error.message, 'Check "backend" in .mysteriorc')]
+  }
+
+  const aws = await checkCredentials(backend, region, (await inspectJson(rcPath)).data)
+  results.push(...aws.results)
+  if (!aws.ok || !packageName) {
+    return results
+  }
+
+  const secrets = await mapConcurrent(envs, 4, env => checkSecret(backend, `${packageName}/${env}`))
+  return [...results, ...secrets]
+}
@@ -0,0 +1,56 @@
+/**
+ * Thrown when something the command needs (a key, a config file) does not
+ * exist. Missing secrets throw SecretNotFoundError from backends.mjs.
+ */
+export class NotFoundError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'NotFoundError'
+  }
+}
+
+/**
+ * Thrown when a write would clash with existing state, such as creating an
+ * environment that exists or a sync with unresolved conflicts
+ */
+export class ConflictError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ConflictError'
+  }
+}
+
+/**
+ * Process exit codes. `1` is also used by diff, validate, aws status and
+ * bulk runs to report a negative result rather than an error.
+ */
+export const EXIT_CODES = {
+  ok: 0,
+  result: 1,
+  error: 2,
+  notFound: 3,
+  conflict: 4,
+  auth: 5,
+  validation: 6,
+  inputRequired: 7
+}
+
+const NOT_FOUND = ['NotFoundError', 'SecretNotFoundError', 'ResourceNotFoundException', 'ParameterNotFound']
+const CONFLICT = ['ConflictError', 'SecretExistsError', 'ResourceExistsException', 'ParameterAlreadyExists']
+const AUTH = [
+  'CredentialsProviderError',
+  'AccessDeniedException',
+  'UnrecognizedClientException',
+  'InvalidClientTokenId',
+  'ExpiredTokenException',
+  'InvalidSignatureException'
+]
+
+export function exitCodeFor(error) {
+  if (NOT_FOUND.includes(error?.name) || error?.code === 'ENOENT') return EXIT_CODES.notFound
+  if (CONFLICT.includes(error?.name)) return EXIT_CODES.conflict
+  if (AUTH.includes(error?.name) || error?.$metadata?.httpStatusCode === 403) return EXIT_CODES.auth
+  if (error?.name === 'ValidationError') return EXIT_CODES.validation
+  if (error?.name === 'InputRequiredError') return EXIT_CODES.inputRequired
+  return EXIT_CODES.error
+}
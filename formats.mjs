@@ -0,0 +1,249 @@
+import YAML from 'yaml'
+
+// camelCase config keys become UPPER_SNAKE environment variable names
+export function toEnvKey(key) {
+  return key.replace(/([A-Z])/g, '_$1').toUpperCase()
+}
+
+// Inverse of toEnvKey: DB_PASSWORD becomes dbPassword
+export function fromEnvKey(envKey) {
+  return envKey.toLowerCase().replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase())
+}
+
+export function toEnvValue(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+function envEntries(config) {
+  return Object.entries(config).map(([key, value]) => [toEnvKey(key), toEnvValue(value)])
+}
+
+function quoteDotenv(value) {
+  if (/^[\w./:@%+,-]*$/.test(value)) {
+    return value
+  }
+  // Single quotes are literal in dotenv, use them when nothing needs escaping
+  if (!value.includes("'") && !/[\r\n]/.test(value)) {
+    return `'${value}'`
+  }
+  const escaped = value
+    .replaceAll('\\', '\\\\')
+    .replaceAll('"', '\\"')
+    .replaceAll('\n', '\\n')
+    .replaceAll('\r', '\\r')
+  return `"${escaped}"`
+}
+
+function quoteShell(value) {
+  return `'${value.replaceAll("'", `'\\''`)}'`
+}
+
+// Kubernetes object names are DNS-1123 subdomains
+function manifestName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9.-]+/g, '-').replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '')
+}
+
+function manifest(kind, dataKey, config, { name }, encode) {
+  const data = {}
+  for (const [key, value] of envEntries(config)) {
+    data[key] = encode(value)
+  }
+
+  const document = {
+    apiVersion: 'v1',
+    kind,
+    metadata: { name: manifestName(name) }
+  }
+  if (kind === 'Secret') {
+    document.type = 'Opaque'
+  }
+  document[dataKey] = data
+
+  return YAML.stringify(document)
+}
+
+/**
+ * Output formats for `get`. Each renders a resolved config object to a
+ * string; `context.name` names Kubernetes manifests.
+ */
+export const formats = {
+  json: {
+    description: 'JSON document',
+    render: config => JSON.stringify(config, null, 2)
+  },
+
+  env: {
+    description: 'dotenv file with quoted and escaped values',
+    render: config => envEntries(config)
+      .map(([key, value]) => `${key}=${quoteDotenv(value)}`)
+      .join('\n')
+  },
+
+  export: {
+    description: 'shell script of export statements',
+    render: config => envEntries(config)
+      .map(([key, value]) => `export ${key}=${quoteShell(value)}`)
+      .join('\n')
+  },
+
+  yaml: {
+    description: 'YAML document',
+    render: config => YAML.stringify(config)
+  },
+
+  'k8s-secret': {
+    description: 'Kubernetes Secret manifest with base64 data',
+    render: (config, context) => manifest('Secret', 'data', config, context,
+      value => Buffer.from(value, 'utf-8').toString('base64'))
+  },
+
+  'k8s-configmap': {
+    description: 'Kubernetes ConfigMap manifest',
+    render: (config, context) => manifest('ConfigMap', 'data', config, context, value => value)
+  },
+
+  docker: {
+    description: 'docker --env-file (values are taken literally, one per line)',
+    render: config => envEntries(config)
+      .map(([key, value]) => {
+        if (/[\r\n]/.test(value)) {
+          throw new Error(`Value of ${key} contains a newline, which docker env files cannot hold`)
+        }
+        return `${key}=${value}`
+      })
+      .join('\n')
+  },
+
+  tfvars: {
+    description: 'Terraform .tfvars.json with snake_case variable names',
+    render: config => JSON.stringify(
+      Object.fromEntries(Object.entries(config).map(([key, value]) => [toEnvKey(key).toLowerCase(), value])),
+      null,
+      2
+    )
+  }
+}
+
+export function renderConfig(format, config, context = {}) {
+  const entry = formats[format]
+  if (!entry) {
+    throw new Error(`Invalid format: ${format}. Use ${Object.keys(formats).map(name => `"${name}"`).join(', ')}`)
+  }
+
+  return entry.render(config, context)
+}
+
+function unquoteDotenv(raw) {
+  const value = raw.trim()
+
+  if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+    return value.slice(1, -1)
+  }
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+    return value.slice(1, -1).replace(/\\([\\"nr])/g, (_, char) => ({ n: '\n', r: '\r' })[char] ?? char)
+  }
+
+  // Unquoted values end at an inline comment
+  return value.replace(/\s+#.*$/, '')
+}
+
+// Index of the quote closing a value that opens with `quote`, or -1.
+// Double-quoted values may escape a quote with a backslash.
+function closingQuote(raw, quote) {
+  for (let i = 1; i < raw.length; i++) {
+    if (quote === '"' && raw[i] === '\\') {
+      i++
+    } else if (raw[i] === quote) {
+      return i
+    }
+  }
+  return -1
+}
+
+function parseDotenv(content) {
+  const result = {}
+  const lines = content.split(/\r?\n/)
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim()
+    if (!line || line.startsWith('#')) continue
+
+    const match = line.match(/^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/)
+    if (!match) {
+      throw new Error(`Invalid dotenv line ${i + 1}: ${line}`)
+    }
+
+    let raw = match[2]
+    const quote = raw[0]
+    if (quote === '"' || quote === "'") {
+      // Quoted values may span several lines, up to the closing quote
+      const start = i + 1
+      while (closingQuote(raw, quote) === -1 && i + 1 < lines.length) {
+        raw += `\n${lines[++i]}`
+      }
+
+      // Only an inline comment may follow the closing quote
+      const end = closingQuote(raw, quote)
+      if (end !== -1) {
+        if (!/^\s*(#.*)?$/.test(raw.slice(end + 1))) {
+          throw new Error(`Invalid dotenv line ${start}: text after the closing quote of ${match[1]}`)
+        }
+        raw = raw.slice(0, end + 1)
+      }
+    }
+
+    result[match[1]] = unquoteDotenv(raw)
+  }
+
+  return result
+}
+
+// A Kubernetes Secret or ConfigMap manifest imports its data, not itself
+function fromManifest(document) {
+  if (document?.kind === 'Secret') {
+    const data = {}
+    for (const [key, value] of Object.entries(document.data || {})) {
+      data[key] = Buffer.from(value, 'base64').toString('utf-8')
+    }
+    return { ...data, ...document.stringData }
+  }
+  if (document?.kind === 'ConfigMap') {
+    return { ...document.data }
+  }
+  return document
+}
+
+/**
+ * Input formats for `import`, each parsing file contents to a config object
+ */
+export const parsers = {
+  env: content => parseDotenv(content),
+  yaml: content => fromManifest(YAML.parse(content)),
+  json: content => fromManifest(JSON.parse(content))
+}
+
+/**
+ * Parse a config file, picking the parser from `format` or the file name
+ */
+export function parseConfigFile(file, content, format) {
+  if (!format) {
+    if (/\.ya?ml$/i.test(file)) {
+      format = 'yaml'
+    } else if (/\.json$/i.test(file)) {
+      format = 'json'
+    } else {
+      format = 'env'
+    }
+  }
+
+  const parser = parsers[format]
+  if (!parser) {
+    throw new Error(`Invalid import format: ${format}. Use ${Object.keys(parsers).map(name => `"${name}"`).join(', ')}`)
+  }
+
+  const result = parser(content)
+  if (result === null || typeof result !== 'object' || Array.isArray(result)) {
+    throw new Error(`${file} does not contain a key/value document`)
+  }
+  return result
+}
@@ -1,62 +1,213 @@
 import fs from 'node:fs/promises'
 import path from 'node:path'
 import util from 'node:util'
-import { Mysterio, getSecretsClient } from 'mysterio'
-import { input, confirm, select, password } from '@inquirer/prompts'
+import os from 'node:os'
+import http from 'node:http'
+import { spawn } from 'node:child_process'
+import { Mysterio } from 'mysterio'
 import { humanId } from 'human-id'
-import { config } from './config.mjs'
-import { SecretsManagerClient, CreateSecretCommand, UpdateSecretCommand, DeleteSecretCommand, ResourceExistsException, ResourceNotFoundException } from '@aws-sdk/client-secrets-manager'
+import { config, loadConfig, createConfig } from './config.mjs'
+import { diffConfigs, hasChanges, formatDiff, maskDiff, maskValue, flattenConfig, unflattenConfig, getPath, setPath, unsetPath } from './diff.mjs'
+import { threeWayMerge, readSyncState, writeSyncState, loadHasher } from './sync.mjs'
+import { createPlan } from './plan.mjs'
+import { createBackend, SecretNotFoundError, SecretExistsError } from './backends.mjs'
+import { resolveConfig, resolveConfigWithSources, readLocalConfig, readEnvConfig, readJson, envFileContent, baseEnvs, deepMerge } from './resolve.mjs'
+import { readVault, writeVault, vaultPath } from './vault.mjs'
+import { renderConfig, parseConfigFile, toEnvKey, fromEnvKey, toEnvValue } from './formats.mjs'
+import { loadSchema, validateConfig, assertValid, coerceValue, ValidationError } from './schema.mjs'
+import { recordAudit, readAudit, sessionWrites } from './audit.mjs'
+import { createSensitivity, createClassification } from './sensitivity.mjs'
+import { selectPackages } from './workspaces.mjs'
+import { mapConcurrent, printSummary } from './bulk.mjs'
+import { input, confirm, select, password, isInteractive } from './prompts.mjs'
+import { NotFoundError, ConflictError } from './errors.mjs'
+import { runChecks, printAwsHint } from './doctor.mjs'
+import { rotationSettings, rotationPolicy, generateValue, previousKey, lastChanged, ageInDays } from './rotation.mjs'
+import { writeFileAtomic, watchChanges, superviseCommand } from './watch.mjs'
+import { runWithContext, resolvePath, logger, silentLogger } from './context.mjs'
+import { createHandler, createCache, generateToken } from './serve.mjs'
 
 const debug = util.debuglog('mysterio-cli')
 
 export async function initMysterio(options) {
   debug('Initializing Mysterio project with options:', options)
 
-  const packageName = options.packageName || await input({
-    message: 'Enter package name:',
-    default: config.packageName || humanId({ separator: '-', capitalize: false })
-  })
-
-  const configDir = path.resolve(options.configDir)
+  const configDirPath = options.configDir || './config'
+  const configDir = resolvePath(configDirPath)
+  const environments = options.environments || ['local', 'development', 'production']
+  const awsRegion = options.awsRegion || 'us-east-1'
+  const plan = createPlan(options)
 
   try {
-    await fs.mkdir(configDir, { recursive: true })
+    const packageName = options.packageName || await input({
+      message: 'Enter package name:',
+      hint: '--package-name',
+      default: config.packageName || humanId({ separator: '-', capitalize: false })
+    })
 
-    for (const env of options.environments) {
+    for (const env of environments) {
       const configFile = path.join(configDir, `${env}.json`)
       const defaultConfig = {
         environment: env,
         debug: env === 'local',
       }
 
-      await fs.writeFile(
-        configFile,
-        JSON.stringify(defaultConfig, null, 2)
-      )
-      debug(`Created config file: ${configFile}`)
+      await plan.run({
+        description: `write ${configFile}`,
+        before: await readJson(configFile),
+        after: defaultConfig
+      }, async () => {
+        await fs.mkdir(configDir, { recursive: true })
+        await fs.writeFile(
+          configFile,
+          JSON.stringify(defaultConfig, null, 2)
+        )
+        debug(`Created config file: ${configFile}`)
+      })
     }
 
     const defaultConfigFile = path.join(configDir, 'default.json')
-    await fs.writeFile(
-      defaultConfigFile,
-      JSON.stringify({ packageName, region: options.awsRegion }, null, 2)
-    )
+    const defaultConfig = { packageName, region: awsRegion }
+    await plan.run({
+      description: `write ${defaultConfigFile}`,
+      before: await readJson(defaultConfigFile),
+      after: defaultConfig
+    }, async () => {
+      await fs.mkdir(configDir, { recursive: true })
+      await fs.writeFile(
+        defaultConfigFile,
+        JSON.stringify(defaultConfig, null, 2)
+      )
+    })
 
     const mysterioRc = {
       packageName,
-      configDirPath: options.configDir,
-      awsRegion: options.awsRegion
+      configDirPath,
+      awsRegion
+    }
+    const rcPath = resolvePath('.mysteriorc')
+    await plan.run({
+      description: `write ${rcPath}`,
+      before: await readJson(rcPath),
+      after: mysterioRc
+    }, () => fs.writeFile(rcPath, JSON.stringify(mysterioRc, null, 2)))
+
+    const result = { packageName, configDir, environments }
+    if (plan.dryRun) {
+      plan.summary()
+      return { ...result, dryRun: true }
+    }
+
+    logger.log(`✅ Mysterio initialized for project: ${packageName}`)
+    logger.log(`📁 Configuration directory: ${configDir}`)
+    logger.log(`🔧 Environments created: ${environments.join(', ')}`)
+    return result
+  } catch (error) {
+    logger.error('❌ Failed to initialize Mysterio:', error.message)
+    throw error
+  }
+}
+
+/**
+ * Environment names in a config dir: every JSON file except the shared
+ * default.json and the schema
+ */
+async function readEnvNames(configDir) {
+  const files = await fs.readdir(configDir)
+  return files
+    .filter(f => f.endsWith('.json') && f !== 'default.json' && f !== 'schema.json')
+    .map(f => f.replace('.json', ''))
+}
+
+/**
+ * Print environments as a tree, each under the first environment it
+ * extends. `environments` is `[{ name, extends, aws }]`.
+ */
+function printEnvTree(environments) {
+  const names = new Set(environments.map(env => env.name))
+  const children = new Map()
+  const roots = []
+  for (const env of environments) {
+    const parent = env.extends[0]
+    if (parent && names.has(parent) && parent !== env.name) {
+      children.set(parent, [...(children.get(parent) || []), env])
+    } else {
+      roots.push(env)
+    }
+  }
+
+  const printed = new Set()
+  function print(env, prefix, branch) {
+    printed.add(env.name)
+
+    const notes = [
+      ...env.extends.slice(1).map(base => `+ ${base}`),
+      ...env.extends.filter(base => !names.has(base)).map(base => `extends missing '${base}'`)
+    ]
+    const status = env.aws === undefined ? '' : env.aws ? ' ☁️  [AWS ✓]' : ' ☁️  [AWS ✗]'
+    logger.log(`  ${prefix}${branch}📁 ${env.name}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}${status}`)
+
+    const childPrefix = prefix + (branch === '├─ ' ? '│  ' : branch ? '   ' : '')
+    const next = (children.get(env.name) || []).filter(child => !printed.has(child.name))
+    next.forEach((child, index) => print(child, childPrefix, index === next.length - 1 ? '└─ ' : '├─ '))
+  }
+
+  roots.forEach(env => print(env, '', ''))
+
+  // Environments in an extends cycle have no root to hang from
+  for (const env of environments) {
+    if (!printed.has(env.name)) {
+      logger.log(`  ⚠️  ${env.name} (circular extends)`)
+      printed.add(env.name)
     }
-    await fs.writeFile('.mysteriorc', JSON.stringify(mysterioRc, null, 2))
+  }
+}
 
-    console.log(`✅ Mysterio initialized for project: ${packageName}`)
-    console.log(`📁 Configuration directory: ${configDir}`)
-    console.log(`🔧 Environments created: ${options.environments.join(', ')}`)
+/**
+ * Vault passphrase prompt that asks at most once per command
+ */
+function promptVaultPassphrase() {
+  let passphrase
+  return async () => {
+    passphrase ??= await password({ message: 'Vault passphrase:', hint: 'MYSTERIO_VAULT_PASSPHRASE' })
+    return passphrase
+  }
+}
 
+/**
+ * Run a command once for each workspace package picked by `--package` or
+ * `--all-packages`, with that package's name and config dir. The root
+ * config dir becomes the shared layer under each package's config.
+ * Resolves to `[{ package, result }]`.
+ */
+async function forEachPackage(options, run) {
+  let packages
+  try {
+    packages = await selectPackages(options)
   } catch (error) {
-    console.error('❌ Failed to initialize Mysterio:', error.message)
+    logger.error('❌ Failed to select packages:', error.message)
     throw error
   }
+  const sharedConfigDir = resolvePath(options.configDir || config.configDirPath || './config')
+
+  const results = []
+  for (const pkg of packages) {
+    if (packages.length > 1) {
+      logger.log(`\n📦 ${pkg.name}`)
+    }
+    results.push({
+      package: pkg.name,
+      result: await run({
+        ...options,
+        package: undefined,
+        allPackages: false,
+        packageName: pkg.name,
+        configDir: pkg.configDir,
+        sharedConfigDir
+      })
+    })
+  }
+  return results
 }
 
 export async function readConfig(options) {
@@ -81,10 +232,10 @@ export async function readConfig(options) {
       result = await mysterio.getDefaultConfigs()
     }
 
-    console.log(JSON.stringify(result, null, 2))
+    logger.log(JSON.stringify(result, null, 2))
 
   } catch (error) {
-    console.error('❌ Failed to read configuration:', error.message)
+    logger.error('❌ Failed to read configuration:', error.message)
     throw error
   }
 }
@@ -92,7 +243,7 @@ export async function readConfig(options) {
 export async function createEnvironment(action, name, options) {
   debug('Managing environment:', action, name, options)
 
-  const configDir = path.resolve(options.configDir)
+  const configDir = resolvePath(options.configDir)
 
   try {
     switch (action) {
@@ -112,10 +263,10 @@ export async function createEnvironment(action, name, options) {
         }
 
         await fs.writeFile(configFile, JSON.stringify(configData, null, 2))
-        console.log(`✅ Created environment: ${name}`)
+        logger.log(`✅ Created environment: ${name}`)
 
         if (options.withSecrets && config.packageName) {
-          console.log('📝 Note: Create secrets in AWS Secrets Manager with name:',
+          logger.log('📝 Note: Create secrets in AWS Secrets Manager with name:',
             `${config.packageName}/${name}`)
         }
         break
@@ -127,8 +278,8 @@ export async function createEnvironment(action, name, options) {
           .filter(f => f.endsWith('.json') && f !== 'default.json')
           .map(f => f.replace('.json', ''))
 
-        console.log('📋 Available environments:')
-        envs.forEach(env => console.log(`  - ${env}`))
+        logger.log('📋 Available environments:')
+        envs.forEach(env => logger.log(`  - ${env}`))
         break
       }
 
@@ -144,16 +295,16 @@ export async function createEnvironment(action, name, options) {
         if (confirmed) {
           const configFile = path.join(configDir, `${name}.json`)
           await fs.unlink(configFile)
-          console.log(`✅ Deleted environment: ${name}`)
+          logger.log(`✅ Deleted environment: ${name}`)
         }
         break
       }
 
       default:
-        console.error(`❌ Unknown action: ${action}. Use 'create', 'list', or 'delete'`)
+        logger.error(`❌ Unknown action: ${action}. Use 'create', 'list', or 'delete'`)
     }
   } catch (error) {
-    console.error('❌ Failed to manage environment:', error.message)
+    logger.error('❌ Failed to manage environment:', error.message)
     throw error
   }
 }
@@ -161,7 +312,7 @@ export async function createEnvironment(action, name, options) {
 export async function listEnvironments(options) {
   debug('Listing environments with options:', options)
 
-  const configDir = path.resolve(options.configDir)
+  const configDir = resolvePath(options.configDir)
 
   try {
     const files = await fs.readdir(configDir)
@@ -169,16 +320,16 @@ export async function listEnvironments(options) {
       .filter(f => f.endsWith('.json') && f !== 'default.json')
       .map(f => f.replace('.json', ''))
 
-    console.log('📋 Available environments:')
+    logger.log('📋 Available environments:')
     for (const env of envs) {
-      console.log(`  📁 ${env}`)
+      logger.log(`  📁 ${env}`)
 
       if (options.showSecrets && config.packageName) {
-        console.log(`     🔐 Secret: ${config.packageName}/${env}`)
+        logger.log(`     🔐 Secret: ${config.packageName}/${env}`)
       }
     }
   } catch (error) {
-    console.error('❌ Failed to list environments:', error.message)
+    logger.error('❌ Failed to list environments:', error.message)
     throw error
   }
 }
@@ -189,22 +340,26 @@ export async function getSecrets(options) {
   const packageName = options.packageName || config.packageName
 
   if (!packageName) {
-    console.error('❌ Package name is required. Use --package-name or set in .mysteriorc')
+    logger.error('❌ Package name is required. Use --package-name or set in .mysteriorc')
     return
   }
 
   try {
     if (options.get) {
       const secretName = `${packageName}/${options.env}`
-      const secretsClient = getSecretsClient(config.awsParams)
-      const secrets = await secretsClient(secretName)
+      const backend = createBackend()
+      const secrets = await backend.read(secretName)
+
+      if (!secrets) {
+        throw new SecretNotFoundError(secretName, backend.label)
+      }
 
-      console.log('🔐 Secrets retrieved:')
-      console.log(JSON.stringify(secrets, null, 2))
+      logger.log('🔐 Secrets retrieved:')
+      logger.log(JSON.stringify(secrets, null, 2))
 
     } else if (options.set) {
-      console.log('🔐 Setting secrets interactively...')
-      console.log('⚠️  Note: This is a scaffold. Implement AWS Secrets Manager update logic here')
+      logger.log('🔐 Setting secrets interactively...')
+      logger.log('⚠️  Note: This is a scaffold. Implement AWS Secrets Manager update logic here')
 
       const secretName = `${packageName}/${options.env}`
       const numSecrets = await input({
@@ -219,23 +374,23 @@ export async function getSecrets(options) {
         secrets[key] = value
       }
 
-      console.log('📝 Would save to AWS Secrets Manager:', secretName)
-      console.log('🔑 Secrets structure:', Object.keys(secrets))
+      logger.log('📝 Would save to AWS Secrets Manager:', secretName)
+      logger.log('🔑 Secrets structure:', Object.keys(secrets))
 
     } else if (options.list) {
-      console.log(`📋 Secret names pattern for ${packageName}:`)
-      const configDir = path.resolve(config.configDirPath || './config')
+      logger.log(`📋 Secret names pattern for ${packageName}:`)
+      const configDir = resolvePath(config.configDirPath || './config')
       const files = await fs.readdir(configDir)
       const envs = files
         .filter(f => f.endsWith('.json') && f !== 'default.json')
         .map(f => f.replace('.json', ''))
 
       for (const env of envs) {
-        console.log(`  🔐 ${packageName}/${env}`)
+        logger.log(`  🔐 ${packageName}/${env}`)
       }
     }
   } catch (error) {
-    console.error('❌ Failed to manage secrets:', error.message)
+    logger.error('❌ Failed to manage secrets:', error.message)
     throw error
   }
 }
@@ -262,14 +417,14 @@ export async function mergeConfigs(options) {
     }
 
     if (options.save) {
-      await fs.writeFile(options.save, output)
-      console.log(`✅ Merged configuration saved to: ${options.save}`)
+      await fs.writeFile(resolvePath(options.save), output)
+      logger.log(`✅ Merged configuration saved to: ${options.save}`)
     } else {
-      console.log(output)
+      logger.log(output)
     }
 
   } catch (error) {
-    console.error('❌ Failed to merge configurations:', error.message)
+    logger.error('❌ Failed to merge configurations:', error.message)
     throw error
   }
 }
@@ -280,7 +435,7 @@ export async function createSecret(environment, options) {
   const packageName = options.packageName || config.packageName
 
   if (!packageName) {
-    console.error('❌ Package name is required. Use --package-name or set in .mysteriorc')
+    logger.error('❌ Package name is required. Use --package-name or set in .mysteriorc')
     throw new Error('Package name not provided')
   }
 
@@ -288,12 +443,12 @@ export async function createSecret(environment, options) {
   const region = options.region || config.awsRegion || 'us-east-1'
 
   try {
-    const client = new SecretsManagerClient({ region })
+    const backend = createBackend({ region })
 
     let secretValue = options.initialValues
     
     if (!secretValue) {
-      const configDir = path.resolve(options.configDir || config.configDirPath || './config')
+      const configDir = resolvePath(options.configDir || config.configDirPath || './config')
       const configFile = path.join(configDir, `${environment}.json`)
 
       try {
@@ -311,7 +466,7 @@ export async function createSecret(environment, options) {
         if (useConfig) {
           const configContent = await fs.readFile(configFile, 'utf-8')
           secretValue = configContent
-          console.log(`📁 Using config from: ${configFile}`)
+          logger.log(`📁 Using config from: ${configFile}`)
         } else {
           secretValue = '{}'
         }
@@ -323,69 +478,46 @@ export async function createSecret(environment, options) {
         try {
           JSON.parse(secretValue)
         } catch (e) {
-          console.error('❌ Invalid JSON for initial values')
+          logger.error('❌ Invalid JSON for initial values')
           throw new Error('Initial values must be valid JSON')
         }
       }
     }
 
-    let response
-    try {
-      const command = new CreateSecretCommand({
-        Name: secretName,
-        Description: options.description || `Secrets for ${packageName} - ${environment} environment`,
-        SecretString: secretValue,
-      })
-
-      response = await client.send(command)
-
-      console.log(`✅ Secret created successfully in AWS Secrets Manager`)
-      console.log(`🔐 Secret Name: ${secretName}`)
-      console.log(`🆔 Secret ARN: ${response.ARN}`)
-      console.log(`📍 Region: ${region}`)
+    const secretData = typeof secretValue === 'string' ? JSON.parse(secretValue) : secretValue
 
-      if (response.VersionId) {
-        console.log(`📌 Version ID: ${response.VersionId}`)
+    if (await backend.read(secretName)) {
+      if (options.confirm === false) {
+        logger.error(`❌ Secret '${secretName}' already exists in ${backend.label}`)
+        logger.log(`💡 Tip: Remove --no-confirm flag to allow overriding existing secrets`)
+        throw new SecretExistsError(secretName, backend.label)
       }
-    } catch (error) {
-      if (error instanceof ResourceExistsException) {
-        if (options.confirm === false) {
-          console.error(`❌ Secret '${secretName}' already exists in AWS Secrets Manager`)
-          console.log(`💡 Tip: Remove --no-confirm flag to allow overriding existing secrets`)
-          throw error
-        }
-
-        const override = await confirm({
-          message: `Secret '${secretName}' already exists. Override it?`,
-          default: false
-        })
 
-        if (!override) {
-          console.log('⚠️  Operation cancelled')
-          return
-        }
+      const override = await confirm({
+        message: `Secret '${secretName}' already exists. Override it?`,
+        default: false
+      })
 
-        const updateCommand = new UpdateSecretCommand({
-          SecretId: secretName,
-          SecretString: secretValue,
-        })
+      if (!override) {
+        logger.log('⚠️  Operation cancelled')
+        return
+      }
+    }
 
-        response = await client.send(updateCommand)
+    const response = await backend.write(secretName, secretData, {
+      description: options.description || `Secrets for ${packageName} - ${environment} environment`
+    })
 
-        console.log(`✅ Secret updated successfully in AWS Secrets Manager`)
-        console.log(`🔐 Secret Name: ${secretName}`)
-        console.log(`🆔 Secret ARN: ${response.ARN}`)
-        console.log(`📍 Region: ${region}`)
+    logger.log(`✅ Secret ${response.created ? 'created' : 'updated'} successfully in ${backend.label}`)
+    logger.log(`🔐 Secret Name: ${secretName}`)
+    logger.log(`🆔 Secret ARN: ${response.arn}`)
+    logger.log(`📍 Region: ${region}`)
 
-        if (response.VersionId) {
-          console.log(`📌 Version ID: ${response.VersionId}`)
-        }
-      } else {
-        throw error
-      }
+    if (response.versionId) {
+      logger.log(`📌 Version ID: ${response.versionId}`)
     }
 
-    const configDir = path.resolve(options.configDir || config.configDirPath || './config')
+    const configDir = resolvePath(options.configDir || config.configDirPath || './config')
     const configFile = path.join(configDir, `${environment}.json`)
 
     try {
@@ -403,21 +535,16 @@ export async function createSecret(environment, options) {
             configFile,
             JSON.stringify({ environment }, null, 2)
           )
-          console.log(`📁 Created local config: ${configFile}`)
+          logger.log(`📁 Created local config: ${configFile}`)
         }
       }
     }
 
   } catch (error) {
-    if (!(error instanceof ResourceExistsException)) {
-      console.error('❌ Failed to create secret:', error.message)
-
-      if (error.name === 'CredentialsProviderError') {
-        console.log('\n💡 AWS credentials not found. Please configure:')
-        console.log('   - Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY environment variables')
-        console.log('   - Or configure AWS CLI: aws configure')
-        console.log('   - Or use IAM roles if running on AWS infrastructure')
-      }
+    if (!(error instanceof SecretExistsError)) {
+      logger.error('❌ Failed to create secret:', error.message)
+
+      printAwsHint(error)
     }
     throw error
   }
@@ -429,28 +556,31 @@ export async function deleteSecret(environment, options) {
   const packageName = options.packageName || config.packageName
 
   if (!packageName) {
-    console.error('❌ Package name is required. Use --package-name or set in .mysteriorc')
+    logger.error('❌ Package name is required. Use --package-name or set in .mysteriorc')
     throw new Error('Package name not provided')
   }
 
   const secretName = `${packageName}/${environment}`
   const region = options.region || config.awsRegion || 'us-east-1'
+  const plan = createPlan(options)
 
   try {
-    const client = new SecretsManagerClient({ region })
+    const backend = createBackend({ region })
 
-    let deleteConfirmed = options.confirm === false ? false : true
+    // confirm: false means the caller already asked, as bulk delete does
+    let deleteConfirmed = true
 
-    if (options.confirm !== false) {
+    if (options.confirm !== false && !plan.dryRun) {
       deleteConfirmed = await confirm({
         message: `Are you sure you want to delete secret '${secretName}'?`,
+        hint: '--yes',
         default: false
       })
     }
 
     if (!deleteConfirmed) {
-      console.log('⚠️  Operation cancelled')
-      return
+      logger.log('⚠️  Operation cancelled')
+      return { outcome: 'skipped', detail: 'cancelled' }
     }
 
     let recoveryWindow
@@ -458,13 +588,15 @@ export async function deleteSecret(environment, options) {
 
     if (options.days !== undefined) {
       if (options.days < 7 || options.days > 30) {
-        console.error('❌ Recovery window must be between 7 and 30 days')
+        logger.error('❌ Recovery window must be between 7 and 30 days')
         throw new Error('Invalid recovery window')
       }
       recoveryWindow = options.days
-    } else if (!forceDelete) {
+    } else if (!forceDelete && !plan.dryRun && options.interactive !== false) {
       const forceDeletion = await confirm({
         message: 'Force immediate deletion without recovery window?',
+        hint: '--days or --force',
+        assumeDefault: true,
         default: false
       })
 
@@ -473,6 +605,7 @@ export async function deleteSecret(environment, options) {
       } else {
         const days = await input({
           message: 'Recovery window in days (7-30):',
+          hint: '--days or --force',
           default: '7',
           validate: (value) => {
             const num = parseInt(value)
@@ -486,43 +619,45 @@ export async function deleteSecret(environment, options) {
       }
     }
 
-    const deleteParams = {
-      SecretId: secretName
-    }
+    const deletion = forceDelete
+      ? 'without recovery'
+      : `recovery window: ${recoveryWindow ?? (options.interactive === false ? '30 (default)' : 'asked at run time')} days`
 
-    if (forceDelete) {
-      deleteParams.ForceDeleteWithoutRecovery = true
-    } else {
-      deleteParams.RecoveryWindowInDays = recoveryWindow
-    }
+    const existingSecrets = await backend.read(secretName) ?? undefined
 
-    const command = new DeleteSecretCommand(deleteParams)
-    const response = await client.send(command)
+    await plan.run({
+      description: `delete secret ${secretName} from ${backend.label} (${deletion})`,
+      before: existingSecrets,
+      after: {}
+    }, async () => {
+      const response = await backend.delete(secretName, { force: forceDelete, recoveryWindow })
+      await recordAudit({ command: 'aws delete', env: environment, target: 'aws', resource: secretName, arn: response.arn, before: existingSecrets })
 
-    console.log(`✅ Secret deletion initiated successfully`)
-    console.log(`🔐 Secret Name: ${secretName}`)
-    console.log(`🆔 Secret ARN: ${response.ARN}`)
+      logger.log(`✅ Secret deletion initiated successfully`)
+      logger.log(`🔐 Secret Name: ${secretName}`)
+      logger.log(`🆔 Secret ARN: ${response.arn}`)
 
-    if (response.DeletionDate) {
-      const deletionDate = new Date(response.DeletionDate)
-      console.log(`📅 Scheduled deletion: ${deletionDate.toISOString()}`)
-      console.log(`💡 Tip: Secret can be recovered before this date using AWS Console or CLI`)
-    } else {
-      console.log(`⚠️  Secret was deleted immediately and cannot be recovered`)
+      if (response.deletionDate) {
+        const deletionDate = new Date(response.deletionDate)
+        logger.log(`📅 Scheduled deletion: ${deletionDate.toISOString()}`)
+        logger.log(`💡 Tip: Secret can be recovered before this date using AWS Console or CLI`)
+      } else {
+        logger.log(`⚠️  Secret was deleted immediately and cannot be recovered`)
+      }
+    })
+
+    if (plan.dryRun) {
+      plan.summary()
     }
 
+    return { outcome: 'deleted' }
   } catch (error) {
-    if (error instanceof ResourceNotFoundException) {
-      console.error(`❌ Secret '${secretName}' not found in AWS Secrets Manager`)
+    if (error instanceof SecretNotFoundError) {
+      logger.error(`❌ ${error.message}`)
     } else {
-      console.error('❌ Failed to delete secret:', error.message)
+      logger.error('❌ Failed to delete secret:', error.message)
 
-      if (error.name === 'CredentialsProviderError') {
-        console.log('\n💡 AWS credentials not found. Please configure:')
-        console.log('   - Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY environment variables')
-        console.log('   - Or configure AWS CLI: aws configure')
-        console.log('   - Or use IAM roles if running on AWS infrastructure')
-      }
+      printAwsHint(error)
     }
     throw error
   }
@@ -537,116 +672,333 @@ export async function deleteSecret(environment, options) {
 export async function getConfig(options) {
   debug("Getting configuration with options:", options)
 
-  try {
-    const mysterio = new Mysterio({
-      env: options.env || process.env.NODE_ENV || "local",
-      configDirPath: options.configDir || config.configDirPath || "./config",
-      ...config
-    })
-
-    let result
-    const source = options.source || "merged"
+  // A watch runs until interrupted, so it can only follow one package
+  if (options.watch && options.allPackages) {
+    throw new Error("--watch works on a single package, use --package <name> instead of --all-packages")
+  }
 
-    switch (source) {
-      case "local":
-        result = await mysterio.getDefaultConfigs()
-        break
-      case "aws":
-        result = await mysterio.getSecrets()
-        break
-      case "merged":
-      case "all":
-        result = await mysterio.getMerged()
-        break
-      default:
-        throw new Error(`Invalid source: ${source}. Use "local", "aws", or "merged"`)
-    }
+  if (options.package || options.allPackages) {
+    return await forEachPackage(options, getConfig)
+  }
 
-    // Format output
-    let output
-    const format = options.format || "json"
+  if (options.watch) {
+    return await watchConfig(options)
+  }
 
-    switch (format) {
-      case "json":
-        output = JSON.stringify(result, null, 2)
-        break
-      case "env":
-        output = Object.entries(result)
-          .map(([key, value]) => {
-            const envKey = key.replace(/([A-Z])/g, "_$1").toUpperCase()
-            const envValue = typeof value === "object" ? JSON.stringify(value) : value
-            return `${envKey}=${envValue}`
-          })
-          .join("\n")
-        break
-      default:
-        throw new Error(`Invalid format: ${format}. Use "json" or "env"`)
+  try {
+    const { output, result, value, masked } = await renderGetOutput(options)
+    if (masked > 0) {
+      logger.error(`💡 ${masked} sensitive value(s) masked, pass --reveal to show them`)
     }
 
     // Save or output
     if (options.save) {
-      await fs.writeFile(options.save, output)
-      console.log(`✅ Configuration saved to: ${options.save}`)
+      await fs.writeFile(resolvePath(options.save), output)
+      logger.log(`✅ ${options.key ? "Value" : "Configuration"} saved to: ${options.save}`)
     } else {
-      console.log(output)
+      logger.log(output)
+    }
+
+    const file = options.save && { file: resolvePath(options.save) }
+    return options.key
+      ? { key: options.key, value, masked, ...file }
+      : { config: result, masked, ...file }
+  } catch (error) {
+    logger.error("❌ Failed to get configuration:", error.message)
+    throw error
+  }
+}
+
+/**
+ * Resolve and render what `get` prints: the configuration in
+ * `options.format`, or a single key's value as is
+ */
+async function renderGetOutput(options, getVaultPassphrase) {
+  const resolveArgs = resolveOptions(options, getVaultPassphrase)
+  const classification = createClassification({ schema: await loadSchema(resolveArgs.configDir) })
+  const { config: resolved, secretPaths } = await resolveConfigWithSources({
+    ...resolveArgs,
+    isSensitive: createSensitivity({ classification }).isSensitive
+  })
+
+  // Sensitive values stay masked unless --reveal is given
+  const sensitivity = createSensitivity({ secretPaths, classification })
+  const result = options.reveal ? resolved : sensitivity.mask(resolved)
+
+  // Only count the values printed: with a key, those under it
+  const printed = keyPath => !options.key || keyPath === options.key || keyPath.startsWith(`${options.key}.`)
+  const masked = options.reveal ? 0 : Object.keys(flattenConfig(resolved)).filter(printed).filter(sensitivity.isSensitive).length
+
+  // A single key prints just its value, handy in shell scripts
+  if (options.key) {
+    const value = getPath(result, options.key)
+    if (value === undefined) {
+      throw new NotFoundError(`Key not found: ${options.key}`)
+    }
+
+    const output = typeof value === "string" ? value : JSON.stringify(value, null, 2)
+    return { output, result, value, masked }
+  }
+
+  const output = renderConfig(options.format || "json", result, {
+    name: options.name || `${options.packageName || config.packageName}-${options.env || process.env.NODE_ENV || "local"}`
+  })
+  return { output, result, masked }
+}
+
+/**
+ * `get --save <file> --watch`: keep the saved file up to date as the config
+ * directory changes and, for sources that include AWS, as the secret changes
+ * (polled every `--interval` seconds). The file is rewritten atomically, only
+ * when its content changes. With `--exec`, a command is started and restarted
+ * (or sent `--signal`) after each rewrite. Runs until interrupted and
+ * resolves to `{ file, writes }`.
+ */
+async function watchConfig(options) {
+  if (!options.save) {
+    throw new Error("--watch needs --save <file>")
+  }
+
+  const { configDir, sharedConfigDir, source } = resolveOptions(options)
+  const file = resolvePath(options.save)
+  const interval = ["merged", "aws"].includes(source) ? Number(options.interval ?? 30) * 1000 : 0
+  const child = options.exec ? superviseCommand(options.exec) : null
+  const getVaultPassphrase = promptVaultPassphrase()
+  let current = await fs.readFile(file, "utf-8").catch(() => null)
+  let writes = 0
+  let failing = false
+
+  async function save(output) {
+    if (output === current) {
+      return false
+    }
+    await writeFileAtomic(file, output)
+    current = output
+    writes++
+    logger.log(`✅ Configuration saved to: ${options.save} (${new Date().toLocaleTimeString()})`)
+    return true
+  }
+
+  async function refresh() {
+    let output
+    try {
+      ({ output } = await renderGetOutput(options, getVaultPassphrase))
+    } catch (error) {
+      // Often a file saved halfway through an edit; keep the last good output
+      if (!failing) {
+        logger.error("❌ Failed to get configuration:", error.message)
+      }
+      failing = true
+      return false
     }
+    if (failing) {
+      logger.log("✅ Configuration resolves again")
+      failing = false
+    }
+    return await save(output)
+  }
 
+  try {
+    const { output, masked } = await renderGetOutput(options, getVaultPassphrase)
+    if (masked > 0) {
+      logger.error(`💡 ${masked} sensitive value(s) masked, pass --reveal to show them`)
+    }
+    if (!await save(output)) {
+      logger.log(`✅ ${options.save} is up to date`)
+    }
   } catch (error) {
-    console.error("❌ Failed to get configuration:", error.message)
+    logger.error("❌ Failed to get configuration:", error.message)
     throw error
   }
+
+  child?.start()
+  const dirs = [configDir, path.join(configDir, ".vault"), sharedConfigDir].filter(Boolean)
+  logger.log(`👀 Watching ${configDir}${sharedConfigDir ? ` and ${sharedConfigDir}` : ""}${interval ? `, polling AWS every ${interval / 1000}s` : ""}. Press Ctrl+C to stop`)
+
+  try {
+    await watchChanges({
+      dirs,
+      interval,
+      refresh: async () => {
+        if (await refresh() && child) {
+          if (options.signal) {
+            child.signal(options.signal)
+          } else {
+            await child.restart()
+          }
+        }
+      }
+    })
+  } finally {
+    await child?.stop()
+  }
+  return { file, writes }
+}
+
+/**
+ * resolveConfig arguments for the `--env`, `--source`, `--config-dir` and
+ * `--raw` options shared by get, run and friends. Commands that resolve more
+ * than once pass their own `getVaultPassphrase` so the user is asked once.
+ */
+function resolveOptions(options, getVaultPassphrase = promptVaultPassphrase()) {
+  return {
+    env: options.env || process.env.NODE_ENV || "local",
+    source: options.source || "merged",
+    configDir: resolvePath(options.configDir || config.configDirPath || "./config"),
+    sharedConfigDir: options.sharedConfigDir,
+    packageName: options.packageName || config.packageName,
+    backend: createBackend({ region: options.region }),
+    getVaultPassphrase,
+    raw: Boolean(options.raw)
+  }
+}
+
+async function resolveFromOptions(options) {
+  return await resolveConfig(resolveOptions(options))
 }
 
 /**
  * Unified set command for updating configuration values
  */
 export async function setConfig(key, value, options) {
-  debug("Setting configuration:", { key, value, options })
+  if (options.package || options.allPackages) {
+    return await forEachPackage(options, packageOptions => setConfig(key, value, packageOptions))
+  }
 
   const env = options.env || process.env.NODE_ENV || "local"
-  const target = options.target || "local"
-  const configDir = path.resolve(options.configDir || config.configDirPath || "./config")
+  const configDir = resolvePath(options.configDir || config.configDirPath || "./config")
 
   try {
+    const projectSchema = await loadSchema(configDir)
+    const schema = options.validate === false ? null : projectSchema
+    const classification = createClassification({ schema: projectSchema })
+    const sensitivity = createSensitivity({ classification })
+    const plan = createPlan({ ...options, sensitivity })
+
+    // Without --target, declared secret keys go to AWS and the rest to the local file
+    const target = options.target || (classification.enabled ? "auto" : "local")
+    const isSecret = keyPath => ["aws", "both", "vault"].includes(target) || sensitivity.isSensitive(keyPath)
+
+    debug("Setting configuration:", {
+      key,
+      value: key && isSecret(key) && !options.reveal ? maskValue(value) : value,
+      options
+    })
+
+    const context = {
+      env,
+      target,
+      configDir,
+      packageName: options.packageName,
+      plan,
+      schema,
+      classification,
+      getVaultPassphrase: promptVaultPassphrase()
+    }
+    let keys
+
     // Handle interactive mode
     if (options.interactive) {
       const configs = {}
 
-      console.log("🔧 Interactive configuration mode (enter empty key to finish)")
+      logger.log("🔧 Interactive configuration mode (enter empty key to finish)")
       while (true) {
-        const k = await input({ message: "Key (empty to finish):" })
+        const k = await input({ message: "Key (empty to finish):", hint: "the key and value as arguments" })
         if (!k) break
 
-        const isSecret = target === "aws" || target === "both"
-        const v = isSecret
-          ? await password({ message: `Value for \"${k}\":` })
-          : await input({ message: `Value for \"${k}\":` })
+        const v = isSecret(k)
+          ? await password({ message: `Value for \"${k}\":`, hint: "the key and value as arguments" })
+          : await input({ message: `Value for \"${k}\":`, hint: "the key and value as arguments" })
 
         configs[k] = v
       }
 
       // Apply all configs
-      for (const [k, v] of Object.entries(configs)) {
-        await applyConfigValue(k, v, env, target, configDir)
-      }
+      await applyConfigValues(Object.entries(configs), context)
+      keys = Object.keys(configs)
     } else {
       // Single key-value
       if (!key) {
         throw new Error("Key is required")
       }
-      await applyConfigValue(key, value, env, target, configDir)
+      await applyConfigValue(key, value, context)
+      keys = [key]
     }
 
-    console.log(`✅ Configuration updated for environment: ${env}`)
+    if (plan.dryRun) {
+      plan.summary()
+      return { env, target, keys, dryRun: true }
+    }
 
+    logger.log(`✅ Configuration updated for environment: ${env}`)
+    return { env, target, keys }
   } catch (error) {
-    console.error("❌ Failed to set configuration:", error.message)
+    logger.error("❌ Failed to set configuration:", error.message)
+
+    if (error instanceof ValidationError) {
+      logger.log("💡 Fix the value or pass --no-validate to skip schema validation")
+    }
     throw error
   }
 }
 
-async function applyConfigValue(key, value, env, target, configDir) {
-  const packageName = config.packageName
+async function applyConfigValue(key, value, context) {
+  await applyConfigValues([[key, value]], context)
+}
+
+/**
+ * Write `[key, value]` entries to the target in a single write per file or
+ * secret. Keys may be dot paths. The `auto` target sends keys classified as
+ * secret to AWS and the others to the local file. AWS writes go through
+ * `context.backend`, or the default backend when there is none.
+ */
+async function applyConfigValues(entries, context) {
+  const { env, target, configDir, command = "set", classification, plan = createPlan(), schema = null, getVaultPassphrase = promptVaultPassphrase() } = context
+  const packageName = context.packageName || config.packageName
+
+  if (entries.length === 0) {
+    return
+  }
+
+  if (target === "auto") {
+    const isSecret = ([key]) => classification.isSecret(key)
+    await applyConfigValues(entries.filter(isSecret), { ...context, target: "aws" })
+    await applyConfigValues(entries.filter(entry => !isSecret(entry)), { ...context, target: "local" })
+    return
+  }
+
+  // Store values in the type the schema declares, e.g. PORT 8080 as a number
+  if (schema) {
+    entries = entries.map(([key, value]) => [key, coerceValue(schema, key, value)])
+  }
+
+  const withEntries = (data, values = entries) =>
+    values.reduce((result, [key, value]) => setPath(result, key, value), data || {})
+
+  if (!["local", "aws", "both", "vault"].includes(target)) {
+    throw new Error(`Invalid target: ${target}. Use "local", "aws", "both", or "vault"`)
+  }
+
+  // Update the encrypted vault
+  if (target === "vault") {
+    const existing = await readVault(configDir, env, getVaultPassphrase)
+    const updated = withEntries(existing)
+
+    if (schema) {
+      assertValid(schema, updated, { partial: true, label: `vault for ${env}` })
+    }
+
+    await plan.run({
+      description: `write vault ${vaultPath(configDir, env)}`,
+      secret: true,
+      before: existing ?? undefined,
+      after: updated
+    }, async () => {
+      const file = await writeVault(configDir, env, updated, getVaultPassphrase)
+      await recordAudit({ command, env, target: "vault", resource: file, before: existing, after: updated })
+      debug(`Updated vault: ${file}`)
+    })
+  }
 
   // Update local config
   if (target === "local" || target === "both") {
@@ -660,19 +1012,34 @@ async function applyConfigValue(key, value, env, target, configDir) {
       // File doesnt exist yet
     }
 
-    // Parse value if it looks like JSON
-    let parsedValue = value
-    try {
-      if (value && (value.startsWith("{") || value.startsWith("["))) {
-        parsedValue = JSON.parse(value)
+    // Parse values if they look like JSON
+    const parsedEntries = entries.map(([key, value]) => {
+      try {
+        if (typeof value === "string" && (value.startsWith("{") || value.startsWith("["))) {
+          return [key, JSON.parse(value)]
+        }
+      } catch {
+        // Keep as string
       }
-    } catch {
-      // Keep as string
+      return [key, value]
+    })
+
+    const updated = withEntries(configData, parsedEntries)
+
+    if (schema) {
+      assertValid(schema, updated, { partial: true, label: `${env}.json` })
     }
 
-    configData[key] = parsedValue
-    await fs.writeFile(configFile, JSON.stringify(configData, null, 2))
-    debug(`Updated local config: ${configFile}`)
+    await plan.run({
+      description: `write ${configFile}`,
+      before: configData,
+      after: updated
+    }, async () => {
+      await fs.mkdir(configDir, { recursive: true })
+      await fs.writeFile(configFile, JSON.stringify(updated, null, 2))
+      await recordAudit({ command, env, target: "local", resource: configFile, before: configData, after: updated })
+      debug(`Updated local config: ${configFile}`)
+    })
   }
 
   // Update AWS secrets
@@ -682,233 +1049,954 @@ async function applyConfigValue(key, value, env, target, configDir) {
     }
 
     const secretName = `${packageName}/${env}`
-    const region = config.awsRegion || "us-east-1"
-    const client = new SecretsManagerClient({ region })
+    const backend = context.backend || createBackend()
+    const existingSecrets = await backend.read(secretName)
 
-    try {
-      // Get existing secret
-      const secretsClient = getSecretsClient({ region })
-      const existingSecrets = await secretsClient(secretName)
+    // Update with new values, creating the secret if it doesnt exist
+    const updated = withEntries(existingSecrets)
 
-      // Update with new value
-      existingSecrets[key] = value
+    if (schema) {
+      assertValid(schema, updated, { partial: true, label: `secret ${secretName}` })
+    }
 
-      const updateCommand = new UpdateSecretCommand({
-        SecretId: secretName,
-        SecretString: JSON.stringify(existingSecrets)
+    await plan.run({
+      description: `${existingSecrets ? "update" : "create"} secret ${secretName} in ${backend.label}`,
+      secret: true,
+      before: existingSecrets ?? undefined,
+      after: updated
+    }, async () => {
+      const response = await backend.write(secretName, updated, {
+        description: `Secrets for ${packageName} - ${env} environment`
       })
-
-      await client.send(updateCommand)
-      debug(`Updated AWS secret: ${secretName}`)
-
-    } catch (error) {
-      if (error.name === "ResourceNotFoundException") {
-        // Create new secret if it doesnt exist
-        const createCommand = new CreateSecretCommand({
-          Name: secretName,
-          SecretString: JSON.stringify({ [key]: value }),
-          Description: `Secrets for ${packageName} - ${env} environment`
-        })
-
-        await client.send(createCommand)
-        debug(`Created new AWS secret: ${secretName}`)
-      } else {
-        throw error
-      }
-    }
+      await recordAudit({
+        command,
+        env,
+        target: "aws",
+        resource: secretName,
+        arn: response.arn,
+        versionId: response.versionId,
+        before: existingSecrets,
+        after: updated
+      })
+      debug(`${response.created ? "Created new" : "Updated"} secret: ${secretName}`)
+    })
   }
 }
+
+const UPPER_SNAKE = /^[A-Z][A-Z0-9_]*$/
+const CAMEL_CASE = /^[a-z][a-zA-Z0-9]*$/
+
 /**
- * AWS-specific operations
+ * Key style of an environment's existing config: `camel` unless its keys
+ * are mostly UPPER_SNAKE
  */
-export async function awsCommand(action, options) {
-  const debug = util.debuglog('mysterio-cli')
-  const environment = options.env || process.env.NODE_ENV || 'local'
-  debug('AWS command:', { action, environment, options })
-
-  const packageName = options.packageName || config.packageName
-  if (!packageName) {
-    console.error('❌ Package name required. Use --package-name or set in .mysteriorc')
-    throw new Error('Package name not provided')
+async function detectKeyStyle(configDir, env) {
+  let keys = []
+  try {
+    keys = Object.keys(await readLocalConfig(configDir, env))
+  } catch {
+    // No config yet, use the default style
   }
 
-  const configDir = path.resolve(options.configDir || config.configDirPath || './config')
-  const region = options.region || config.awsRegion || 'us-east-1'
-  const secretName = `${packageName}/${environment}`
+  const upper = keys.filter(k => UPPER_SNAKE.test(k)).length
+  const camel = keys.filter(k => CAMEL_CASE.test(k)).length
+  return upper > camel ? 'keep' : 'camel'
+}
 
-  try {
-    switch (action) {
-      case 'push': {
-        // Push local config to AWS
-        const configFile = path.join(configDir, `${environment}.json`)
+/**
+ * Import a dotenv, YAML, JSON or Kubernetes Secret/ConfigMap file into an
+ * environment, previewing the changes before writing them
+ */
+export async function importConfig(file, options) {
+  debug("Importing configuration:", { file, options })
 
-        let configData
-        try {
-          const content = await fs.readFile(configFile, 'utf-8')
-          configData = content
-        } catch (error) {
-          console.error(`❌ Local config not found: ${configFile}`)
-          throw error
-        }
+  const env = options.env || process.env.NODE_ENV || "local"
+  const configDir = resolvePath(options.configDir || config.configDirPath || "./config")
 
-        const client = new SecretsManagerClient({ region })
+  try {
+    const projectSchema = await loadSchema(configDir)
+    const classification = createClassification({ schema: projectSchema })
+    const target = options.target || (classification.enabled ? "auto" : "local")
+
+    const content = await fs.readFile(resolvePath(file), "utf-8")
+    const imported = flattenConfig(parseConfigFile(file, content, options.format))
+
+    const keyStyle = !options.keyStyle || options.keyStyle === "auto"
+      ? await detectKeyStyle(configDir, env)
+      : options.keyStyle
+    if (!["camel", "keep"].includes(keyStyle)) {
+      throw new Error(`Invalid key style: ${keyStyle}. Use "auto", "camel", or "keep"`)
+    }
 
-        try {
-          const createCommand = new CreateSecretCommand({
-            Name: secretName,
-            SecretString: configData,
-            Description: `Pushed from local config - ${new Date().toISOString()}`
-          })
+    const entries = Object.entries(imported).map(([key, value]) => [
+      keyStyle === "camel" && UPPER_SNAKE.test(key) ? fromEnvKey(key) : key,
+      value
+    ])
 
-          const response = await client.send(createCommand)
-          console.log(`✅ Pushed local config to AWS Secrets Manager`)
-          console.log(`🔐 Secret: ${secretName}`)
+    if (entries.length === 0) {
+      logger.log(`⚠️  No keys found in ${file}`)
+      return { env, target, keys: [] }
+    }
 
-        } catch (error) {
-          if (error instanceof ResourceExistsException) {
-            if (!options.override) {
-              const shouldOverride = await confirm({
-                message: `Secret '${secretName}' exists. Override?`,
-                default: false
-              })
-
-              if (!shouldOverride) {
-                console.log('⚠️  Operation cancelled')
-                return
-              }
-            }
+    logger.log(`📥 Importing ${entries.length} key(s) from ${file} into ${env} (${target})`)
 
-            const updateCommand = new UpdateSecretCommand({
-              SecretId: secretName,
-              SecretString: configData
-            })
+    const schema = options.validate === false ? null : projectSchema
+    const getVaultPassphrase = promptVaultPassphrase()
 
-            await client.send(updateCommand)
-            console.log(`✅ Updated existing secret in AWS`)
-          } else {
-            throw error
-          }
-        }
-        break
-      }
+    // Preview through a dry-run plan, then write for real once confirmed
+    const preview = createPlan({ dryRun: true, reveal: options.reveal, sensitivity: createSensitivity({ classification }) })
+    await applyConfigValues(entries, { env, target, configDir, plan: preview, schema, classification, getVaultPassphrase })
 
-      case 'pull': {
-        // Pull AWS secrets to local config
-        try {
-          const secretsClient = getSecretsClient({ region })
-          const secrets = await secretsClient(secretName)
+    const keys = entries.map(([key]) => key)
+    if (options.dryRun) {
+      preview.summary()
+      return { env, target, keys, dryRun: true }
+    }
 
-          const configFile = path.join(configDir, `${environment}.json`)
+    const confirmed = await confirm({
+      message: `Apply these changes to '${env}'?`,
+      hint: "--yes",
+      default: false
+    })
 
-          if (!options.override) {
-            try {
-              await fs.access(configFile)
-              const shouldOverride = await confirm({
-                message: `Local config exists for '${environment}'. Override?`,
-                default: false
-              })
-
-              if (!shouldOverride) {
-                console.log('⚠️  Operation cancelled')
-                return
-              }
-            } catch {
-              // File doesn't exist, proceed
-            }
-          }
+    if (!confirmed) {
+      logger.log("⚠️  Operation cancelled")
+      return { env, target, keys: [], cancelled: true }
+    }
 
-          await fs.writeFile(configFile, JSON.stringify(secrets, null, 2))
-          console.log(`✅ Pulled AWS secrets to local config`)
-          console.log(`📁 Saved to: ${configFile}`)
+    await applyConfigValues(entries, { env, target, configDir, command: "import", schema, classification, getVaultPassphrase })
+    logger.log(`✅ Imported ${entries.length} key(s) into environment: ${env}`)
+    return { env, target, keys }
+  } catch (error) {
+    logger.error("❌ Failed to import configuration:", error.message)
 
-        } catch (error) {
-          console.error(`❌ Failed to pull secrets from AWS:`, error.message)
+    if (error instanceof ValidationError) {
+      logger.log("💡 Fix the values or pass --no-validate to skip schema validation")
+    }
+    throw error
+  }
+}
+
+/**
+ * Remove a key or subtree from local config, the vault or AWS secrets
+ */
+export async function unsetConfig(key, options) {
+  debug("Unsetting configuration:", { key, options })
+
+  if (options.package || options.allPackages) {
+    return await forEachPackage(options, packageOptions => unsetConfig(key, packageOptions))
+  }
+
+  const env = options.env || process.env.NODE_ENV || "local"
+  const configDir = resolvePath(options.configDir || config.configDirPath || "./config")
+
+  try {
+    if (!key) {
+      throw new Error("Key is required")
+    }
+
+    // Without --target, a key classified as secret is removed from AWS
+    const classification = createClassification({ schema: await loadSchema(configDir) })
+    const plan = createPlan({ ...options, sensitivity: createSensitivity({ classification }) })
+    const target = options.target || (classification.enabled && classification.isSecret(key) ? "aws" : "local")
+
+    await removeConfigValue(key, {
+      env,
+      target,
+      configDir,
+      packageName: options.packageName,
+      plan,
+      getVaultPassphrase: promptVaultPassphrase()
+    })
+
+    if (plan.dryRun) {
+      plan.summary()
+      return { env, target, keys: [key], dryRun: true }
+    }
+
+    logger.log(`✅ Configuration updated for environment: ${env}`)
+    return { env, target, keys: [key] }
+  } catch (error) {
+    logger.error("❌ Failed to unset configuration:", error.message)
+    throw error
+  }
+}
+
+async function removeConfigValue(key, { env, target, configDir, packageName = config.packageName, command = "unset", plan = createPlan(), backend: secretsBackend, getVaultPassphrase = promptVaultPassphrase() }) {
+
+  if (!["local", "aws", "both", "vault"].includes(target)) {
+    throw new Error(`Invalid target: ${target}. Use "local", "aws", "both", or "vault"`)
+  }
+
+  if (target === "vault") {
+    const existing = await readVault(configDir, env, getVaultPassphrase)
+    const { result: updated, removed } = unsetPath(existing, key)
+
+    if (!removed) {
+      logger.log(`⚠️  Key '${key}' not found in vault for ${env}`)
+    } else {
+      await plan.run({
+        description: `write vault ${vaultPath(configDir, env)}`,
+        secret: true,
+        before: existing,
+        after: updated
+      }, async () => {
+        const file = await writeVault(configDir, env, updated, getVaultPassphrase)
+        await recordAudit({ command, env, target: "vault", resource: file, before: existing, after: updated })
+        debug(`Updated vault: ${file}`)
+      })
+    }
+  }
+
+  if (target === "local" || target === "both") {
+    const configFile = path.join(configDir, `${env}.json`)
+    const configData = await readJson(configFile)
+    const { result: updated, removed } = unsetPath(configData, key)
+
+    if (!removed) {
+      logger.log(`⚠️  Key '${key}' not found in ${configFile}`)
+    } else {
+      await plan.run({
+        description: `write ${configFile}`,
+        before: configData,
+        after: updated
+      }, async () => {
+        await fs.writeFile(configFile, JSON.stringify(updated, null, 2))
+        await recordAudit({ command, env, target: "local", resource: configFile, before: configData, after: updated })
+        debug(`Updated local config: ${configFile}`)
+      })
+    }
+  }
+
+  if (target === "aws" || target === "both") {
+    if (!packageName) {
+      throw new Error("Package name required for AWS operations. Set in .mysteriorc")
+    }
+
+    const secretName = `${packageName}/${env}`
+    const backend = secretsBackend || createBackend()
+    const existingSecrets = await backend.read(secretName)
+    const { result: updated, removed } = unsetPath(existingSecrets, key)
+
+    if (!removed) {
+      logger.log(`⚠️  Key '${key}' not found in secret ${secretName}`)
+    } else {
+      await plan.run({
+        description: `update secret ${secretName} in ${backend.label}`,
+        secret: true,
+        before: existingSecrets,
+        after: updated
+      }, async () => {
+        const response = await backend.write(secretName, updated)
+        await recordAudit({
+          command,
+          env,
+          target: "aws",
+          resource: secretName,
+          arn: response.arn,
+          versionId: response.versionId,
+          before: existingSecrets,
+          after: updated
+        })
+        debug(`Updated secret: ${secretName}`)
+      })
+    }
+  }
+}
+
+/**
+ * AWS-specific operations
+ */
+export async function awsCommand(action, options) {
+  const debug = util.debuglog('mysterio-cli')
+  const environment = options.env || process.env.NODE_ENV || 'local'
+  debug('AWS command:', { action, environment, options })
+
+  if (options.package || options.allPackages) {
+    const results = await forEachPackage(options, packageOptions => awsCommand(action, packageOptions))
+    return {
+      drift: results.some(({ result }) => result?.drift),
+      failed: results.some(({ result }) => result?.failed),
+      packages: results
+    }
+  }
+
+  if (options.allEnvs || options.envs) {
+    return await awsBulkCommand(action, options)
+  }
+
+  const packageName = options.packageName || config.packageName
+  if (!packageName) {
+    logger.error('❌ Package name required. Use --package-name or set in .mysteriorc')
+    throw new Error('Package name not provided')
+  }
+
+  const configDir = resolvePath(options.configDir || config.configDirPath || './config')
+  const region = options.region || config.awsRegion || 'us-east-1'
+  const secretName = `${packageName}/${environment}`
+  const backend = createBackend({ region })
+
+  try {
+    const projectSchema = await loadSchema(configDir)
+    const schema = options.validate === false ? null : projectSchema
+    const classification = createClassification({ schema: projectSchema })
+    const plan = createPlan({ ...options, sensitivity: createSensitivity({ classification }) })
+
+    // created, updated, unchanged, skipped or deleted, for bulk summaries
+    let outcome
+    let details = {}
+
+    switch (action) {
+      case 'push': {
+        // Push local config, with the environments it extends, to AWS
+        const configFile = path.join(configDir, `${environment}.json`)
+
+        const envConfig = await readEnvConfig(configDir, environment)
+        if (!envConfig) {
+          logger.error(`❌ Local config not found: ${configFile}`)
+          throw new NotFoundError(`Local config not found: ${configFile}`)
+        }
+
+        const existingSecrets = await backend.read(secretName)
+
+        // With declared secret keys only those are pushed, replacing any
+        // plain keys left in the secret
+        const localConfig = envConfig.config
+        const pushed = classification.enabled
+          ? deepMerge(classification.split(existingSecrets).secret, classification.split(localConfig).secret)
+          : localConfig
+
+        if (schema) {
+          assertValid(schema, pushed, { partial: true, label: `${environment}.json` })
+        }
+
+        if (existingSecrets && !hasChanges(diffConfigs(existingSecrets, pushed))) {
+          logger.log(`✅ Secret ${secretName} is already up to date`)
+          outcome = 'unchanged'
+          break
+        }
+
+        if (existingSecrets && !options.override && !plan.dryRun) {
+          if (options.interactive === false) {
+            logger.log(`⚠️  Secret '${secretName}' exists, skipped. Pass --override to replace it`)
+            return { outcome: 'skipped', detail: 'secret exists, pass --override' }
+          }
+
+          const shouldOverride = await confirm({
+            message: `Secret '${secretName}' exists. Override?`,
+            hint: '--override',
+            default: false
+          })
+
+          if (!shouldOverride) {
+            logger.log('⚠️  Operation cancelled')
+            return { outcome: 'skipped', detail: 'cancelled' }
+          }
+        }
+
+        outcome = existingSecrets ? 'updated' : 'created'
+
+        await plan.run({
+          description: `${existingSecrets ? 'update' : 'create'} secret ${secretName} in ${backend.label}`,
+          secret: true,
+          before: existingSecrets ?? undefined,
+          after: pushed
+        }, async () => {
+          const response = await backend.write(secretName, pushed, {
+            description: `Pushed from local config - ${new Date().toISOString()}`
+          })
+          await recordAudit({
+            command: 'aws push',
+            env: environment,
+            target: 'aws',
+            resource: secretName,
+            arn: response.arn,
+            versionId: response.versionId,
+            before: existingSecrets,
+            after: pushed
+          })
+
+          if (response.created) {
+            logger.log(`✅ Pushed local config to ${backend.label}`)
+            logger.log(`🔐 Secret: ${secretName}`)
+          } else {
+            logger.log(`✅ Updated existing secret in ${backend.label}`)
+          }
+        })
+        break
+      }
+
+      case 'pull': {
+        // Pull AWS secrets to local config
+        try {
+          const secrets = await backend.read(secretName)
+          if (!secrets) {
+            throw new SecretNotFoundError(secretName, backend.label)
+          }
+
+          const configFile = path.join(configDir, `${environment}.json`)
+
+          // Compared with the inherited values included, written without them
+          const envConfig = await readEnvConfig(configDir, environment)
+          const existingConfig = envConfig?.config
+
+          // With declared secret keys the local file only gets the plain
+          // keys of the secret, merged into it; secret keys stay in AWS
+          const pulled = classification.enabled
+            ? deepMerge(existingConfig, classification.split(secrets).plain)
+            : secrets
+
+          if (existingConfig && !hasChanges(diffConfigs(existingConfig, pulled))) {
+            logger.log(`✅ ${configFile} is already up to date`)
+            outcome = 'unchanged'
+            break
+          }
+
+          if (existingConfig && !options.override && !plan.dryRun) {
+            if (options.interactive === false) {
+              logger.log(`⚠️  Local config exists for '${environment}', skipped. Pass --override to replace it`)
+              return { outcome: 'skipped', detail: 'local config exists, pass --override' }
+            }
+
+            const shouldOverride = await confirm({
+              message: `Local config exists for '${environment}'. Override?`,
+              hint: '--override',
+              default: false
+            })
+
+            if (!shouldOverride) {
+              logger.log('⚠️  Operation cancelled')
+              return { outcome: 'skipped', detail: 'cancelled' }
+            }
+          }
+
+          outcome = existingConfig ? 'updated' : 'created'
+
+          await plan.run({
+            description: `write ${configFile}`,
+            before: existingConfig,
+            after: pulled
+          }, async () => {
+            await fs.writeFile(configFile, JSON.stringify(envFileContent(pulled, envConfig), null, 2))
+            await recordAudit({
+              command: 'aws pull',
+              env: environment,
+              target: 'local',
+              resource: configFile,
+              before: existingConfig,
+              after: pulled
+            })
+            logger.log(`✅ Pulled secrets from ${backend.label} to local config`)
+            logger.log(`📁 Saved to: ${configFile}`)
+          })
+
+        } catch (error) {
+          logger.error(`❌ Failed to pull secrets from ${backend.label}:`, error.message)
           throw error
         }
         break
       }
 
       case 'sync': {
-        // Bidirectional sync
-        const prefer = options.prefer || 'local'
+        // Three-way merge against the snapshot from the last sync
+        const prefer = options.prefer
 
-        console.log(`🔄 Syncing with preference: ${prefer}`)
+        if (prefer && !['local', 'aws'].includes(prefer)) {
+          throw new Error(`Invalid --prefer value: ${prefer}. Use "local" or "aws"`)
+        }
 
-        // Get both configs
         const configFile = path.join(configDir, `${environment}.json`)
-        let localConfig = {}
+        const statePath = resolvePath(config.syncStatePath || '.mysterio-sync.json')
         let awsConfig = {}
+        let awsExists = true
 
-        try {
-          const content = await fs.readFile(configFile, 'utf-8')
-          localConfig = JSON.parse(content)
-        } catch {
-          console.log('📝 No local config found')
+        // The local side includes the environments it extends
+        const envConfig = await readEnvConfig(configDir, environment)
+        const localConfig = envConfig?.config || {}
+        if (!envConfig) {
+          logger.log('📝 No local config found')
         }
 
-        try {
-          const secretsClient = getSecretsClient({ region })
-          awsConfig = await secretsClient(secretName)
-        } catch {
-          console.log('☁️  No AWS secret found')
+        const secrets = await backend.read(secretName)
+        if (secrets) {
+          awsConfig = secrets
+        } else {
+          awsExists = false
+          logger.log('☁️  No AWS secret found')
+        }
+
+        const state = await readSyncState(statePath, secretName)
+        const hash = await loadHasher({ create: !plan.dryRun })
+        if (!state) {
+          logger.log('📝 No previous sync found, differing keys are treated as conflicts')
+        }
+
+        // With declared secret keys only those are synced: plain keys stay
+        // in the local file and out of the secret. Secret keys live in AWS,
+        // so one missing from the local file is unchanged, not deleted
+        const localSecrets = classification.enabled
+          ? deepMerge(classification.split(awsConfig).secret, classification.split(localConfig).secret)
+          : localConfig
+        const awsSecrets = classification.enabled ? classification.split(awsConfig).secret : awsConfig
+
+        const { merged: flatMerged, conflicts, fromLocal, fromAws } = threeWayMerge(state?.keys || {}, localSecrets, awsSecrets, hash)
+
+        if (conflicts.length > 0) {
+          logger.log(`⚠️  ${conflicts.length} conflict(s):`)
+          for (const conflict of conflicts) {
+            const localValue = conflict.local === undefined ? '(deleted)' : maskValue(conflict.local, options.reveal)
+            const awsValue = conflict.aws === undefined ? '(deleted)' : maskValue(conflict.aws, options.reveal)
+            logger.log(`  ! ${conflict.path}: local ${localValue} | aws ${awsValue}`)
+          }
         }
 
-        // Merge with preference
-        const merged = prefer === 'local'
-          ? { ...awsConfig, ...localConfig }
-          : { ...localConfig, ...awsConfig }
+        if (conflicts.length > 0 && !prefer && options.interactive === false) {
+          logger.log('⚠️  Sync skipped. Pass --prefer local|aws to resolve conflicts')
+          return { outcome: 'skipped', detail: `${conflicts.length} conflict(s), pass --prefer` }
+        }
 
-        // Write back to both
-        await fs.writeFile(configFile, JSON.stringify(merged, null, 2))
+        if (conflicts.length > 0 && !prefer && !isInteractive()) {
+          throw new ConflictError(`${conflicts.length} conflict(s) between local and ${secretName}. Pass --prefer local|aws`)
+        }
 
-        const client = new SecretsManagerClient({ region })
-        try {
-          const updateCommand = new UpdateSecretCommand({
-            SecretId: secretName,
-            SecretString: JSON.stringify(merged)
+        for (const conflict of conflicts) {
+          let side = prefer
+
+          if (!side) {
+            side = await select({
+              message: `Resolve conflict on '${conflict.path}':`,
+              choices: [
+                { name: 'Keep local value', value: 'local' },
+                { name: 'Keep AWS value', value: 'aws' },
+                { name: 'Abort sync', value: 'abort' }
+              ]
+            })
+          }
+
+          if (side === 'abort') {
+            logger.log('⚠️  Operation cancelled')
+            return { outcome: 'skipped', detail: 'cancelled' }
+          }
+
+          if (conflict[side] !== undefined) {
+            flatMerged[conflict.path] = conflict[side]
+          }
+        }
+
+        // Secret keys found in the local file move to AWS and out of the file
+        const merged = unflattenConfig(flatMerged)
+        const mergedLocal = classification.enabled
+          ? classification.split(localConfig).plain
+          : merged
+
+        if (schema) {
+          assertValid(schema, mergedLocal, { partial: true, label: `synced ${environment} configuration` })
+        }
+
+        const localChanged = hasChanges(diffConfigs(localConfig, mergedLocal))
+        const awsChanged = !awsExists || hasChanges(diffConfigs(awsConfig, merged))
+        outcome = !awsExists ? 'created' : localChanged || awsChanged ? 'updated' : 'unchanged'
+
+        if (localChanged) {
+          await plan.run({
+            description: `write ${configFile}`,
+            before: localConfig,
+            after: mergedLocal
+          }, async () => {
+            await fs.mkdir(configDir, { recursive: true })
+            await fs.writeFile(configFile, JSON.stringify(envFileContent(mergedLocal, envConfig), null, 2))
+            await recordAudit({
+              command: 'aws sync',
+              env: environment,
+              target: 'local',
+              resource: configFile,
+              before: localConfig,
+              after: mergedLocal
+            })
           })
-          await client.send(updateCommand)
-        } catch (error) {
-          if (error.name === 'ResourceNotFoundException') {
-            const createCommand = new CreateSecretCommand({
-              Name: secretName,
-              SecretString: JSON.stringify(merged),
-              Description: `Synced - ${new Date().toISOString()}`
+        }
+
+        if (awsChanged) {
+          await plan.run({
+            description: `${awsExists ? 'update' : 'create'} secret ${secretName} in ${backend.label}`,
+            secret: true,
+            before: awsExists ? awsConfig : undefined,
+            after: merged
+          }, async () => {
+            const response = await backend.write(secretName, merged, {
+              description: `Synced - ${new Date().toISOString()}`
             })
-            await client.send(createCommand)
-          } else {
-            throw error
+            await recordAudit({
+              command: 'aws sync',
+              env: environment,
+              target: 'aws',
+              resource: secretName,
+              arn: response.arn,
+              versionId: response.versionId,
+              before: awsExists ? awsConfig : undefined,
+              after: merged
+            })
+          })
+        }
+
+        await plan.run({ description: `write sync snapshot ${statePath}` }, () => writeSyncState(statePath, secretName, merged, hash))
+
+        if (plan.dryRun) {
+          break
+        }
+
+        logger.log(`✅ Synced configuration`)
+        logger.log(`📁 Local: ${configFile}${localChanged ? '' : ' (unchanged)'}`)
+        logger.log(`☁️  AWS: ${secretName}${awsChanged ? '' : ' (unchanged)'}`)
+        if (fromLocal.length > 0) logger.log(`⬆️  From local: ${fromLocal.join(', ')}`)
+        if (fromAws.length > 0) logger.log(`⬇️  From AWS: ${fromAws.join(', ')}`)
+        break
+      }
+
+      case 'status': {
+        // Compare the secret in every configured region with the primary
+        const statuses = await backend.status(secretName)
+        const icons = { ok: '✅', missing: '❌', different: '⚠️ ', error: '❌' }
+
+        logger.log(`🌍 ${secretName} in ${statuses.length} region(s):`)
+        for (const status of statuses) {
+          const region = `${status.region || 'local'}${status.primary ? ' (primary)' : ''}`
+          const detail = status.state === 'error' ? status.error : status.state
+          const version = status.versionId ? `  version ${status.versionId}` : ''
+          logger.log(`  ${icons[status.state]} ${region}: ${detail}${version}`)
+        }
+
+        const drift = statuses.some(status => status.state !== 'ok')
+        if (drift) {
+          logger.log('💡 Run `mysterio aws push` or `mysterio aws sync` to bring every region up to date')
+        }
+        return { secretName, regions: statuses, drift }
+      }
+
+      case 'history': {
+        const versions = await backend.versions(secretName)
+
+        logger.log(`📜 Versions of ${secretName} in ${backend.label} (newest first):`)
+        for (const version of versions) {
+          const stages = version.stages.length > 0 ? ` [${version.stages.join(', ')}]` : ''
+          const current = version.current ? ' (current)' : ''
+          const createdAt = version.createdAt ? new Date(version.createdAt).toISOString() : 'unknown date'
+          logger.log(`  ${version.versionId}  ${createdAt}${stages}${current}`)
+        }
+
+        if (!options.from && !options.to) {
+          return { secretName, versions }
+        }
+
+        // --to defaults to the current version, --from to the one before --to
+        const findVersion = versionId => {
+          const index = versions.findIndex(version => version.versionId === versionId)
+          if (index === -1) {
+            throw new Error(`Version ${versionId} not found for ${secretName}`)
           }
+          return index
+        }
+        const toIndex = options.to ? findVersion(options.to) : versions.findIndex(version => version.current)
+        const fromIndex = options.from ? findVersion(options.from) : toIndex + 1
+        if (fromIndex >= versions.length) {
+          throw new Error(`No version before ${versions[toIndex].versionId} to compare with`)
         }
 
-        console.log(`✅ Synced configuration`)
-        console.log(`📁 Local: ${configFile}`)
-        console.log(`☁️  AWS: ${secretName}`)
+        const fromId = versions[fromIndex].versionId
+        const toId = versions[toIndex].versionId
+        const before = await backend.read(secretName, { versionId: fromId })
+        const after = await backend.read(secretName, { versionId: toId })
+        const diff = diffConfigs(before || {}, after || {})
+
+        logger.log(`\n🔍 ${fromId} → ${toId}`)
+        if (hasChanges(diff)) {
+          logger.log(formatDiff(diff, { reveal: options.reveal }))
+        } else {
+          logger.log('  No differences')
+        }
+        return { secretName, versions, from: fromId, to: toId, diff: options.reveal ? diff : maskDiff(diff) }
+      }
+
+      case 'rollback': {
+        if (!options.versionId && !options.previous) {
+          throw new Error('Specify the version to restore with --version-id <id> or --previous')
+        }
+
+        const versions = await backend.versions(secretName)
+        const currentIndex = versions.findIndex(version => version.current)
+        const target = options.previous
+          ? versions.find(version => version.stages.includes('AWSPREVIOUS')) || versions[currentIndex + 1]
+          : versions.find(version => version.versionId === options.versionId)
+
+        if (!target) {
+          throw new Error(options.previous
+            ? `No previous version of ${secretName} to roll back to`
+            : `Version ${options.versionId} not found for ${secretName}`)
+        }
+
+        if (target.current) {
+          logger.log(`✅ Version ${target.versionId} is already current`)
+          outcome = 'unchanged'
+          break
+        }
+
+        if (!options.override && !plan.dryRun) {
+          const shouldRollback = await confirm({
+            message: `Roll back '${secretName}' to version ${target.versionId}?`,
+            hint: '--override or --yes',
+            default: false
+          })
+
+          if (!shouldRollback) {
+            logger.log('⚠️  Operation cancelled')
+            return { outcome: 'skipped', detail: 'cancelled' }
+          }
+        }
+
+        outcome = 'updated'
+
+        const currentData = await backend.read(secretName) ?? undefined
+        const targetData = await backend.read(secretName, { versionId: target.versionId }) ?? undefined
+
+        await plan.run({
+          description: `restore version ${target.versionId} of ${secretName} in ${backend.label}`,
+          secret: true,
+          before: currentData,
+          after: targetData
+        }, async () => {
+          const restored = await backend.restore(secretName, target.versionId)
+          await recordAudit({
+            command: 'aws rollback',
+            env: environment,
+            target: 'aws',
+            resource: secretName,
+            versionId: restored?.versionId || target.versionId,
+            before: currentData,
+            after: targetData
+          })
+          logger.log(`✅ Rolled back ${secretName} to version ${target.versionId}`)
+        })
+        break
+      }
+
+      case 'rotate': {
+        const result = await rotateSecretKeys({ environment, secretName, backend, plan, configDir, packageName, schema, options })
+        outcome = result.outcome
+        details = { rotated: result.rotated, expired: result.expired }
         break
       }
 
       case 'delete': {
         // Delete from AWS (existing deleteSecret logic)
-        await deleteSecret(environment, options)
+        const result = await deleteSecret(environment, options)
+        outcome = result?.outcome
         break
       }
 
       default:
         throw new Error(`Unknown AWS action: ${action}`)
     }
+
+    if (plan.dryRun && !['delete', 'history'].includes(action)) {
+      plan.summary()
+    }
+
+    return { secretName, outcome, ...details }
   } catch (error) {
-    console.error('❌ AWS operation failed:', error.message)
+    logger.error('❌ AWS operation failed:', error.message)
 
-    if (error.name === 'CredentialsProviderError') {
-      console.log('\n💡 AWS credentials not found. Please configure:')
-      console.log('   - Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY')
-      console.log('   - Or run: aws configure')
+    if (error instanceof ValidationError) {
+      logger.log('💡 Fix the configuration or pass --no-validate to skip schema validation')
     }
 
+    printAwsHint(error)
+
     throw error
   }
 }
 
+const BULK_ACTIONS = ['push', 'pull', 'sync', 'rotate', 'delete']
+
+/**
+ * Run an AWS action for several environments (`--all-envs` or `--envs`),
+ * a few at a time. Prompts are not possible in parallel, so an environment
+ * that would need one is skipped, except for a single confirmation before
+ * deleting. Failures don't stop the other environments. Resolves to
+ * `{ results, failed }`.
+ */
+async function awsBulkCommand(action, options) {
+  if (!BULK_ACTIONS.includes(action)) {
+    logger.error(`❌ --all-envs and --envs apply to ${BULK_ACTIONS.join(', ')}, not ${action}`)
+    throw new Error(`Unsupported bulk action: ${action}`)
+  }
+
+  const configDir = resolvePath(options.configDir || config.configDirPath || './config')
+  const envs = options.envs
+    ? options.envs.split(',').map(env => env.trim()).filter(Boolean)
+    : await readEnvNames(configDir)
+  const concurrency = Number(options.concurrency) || 4
+
+  if (envs.length === 0) {
+    logger.log('⚠️  No environments found')
+    return { results: [], failed: false }
+  }
+
+  if (action === 'delete' && !options.dryRun) {
+    const confirmed = await confirm({
+      message: `Delete secrets for ${envs.length} environment(s): ${envs.join(', ')}?`,
+      hint: '--yes',
+      default: false
+    })
+
+    if (!confirmed) {
+      logger.log('⚠️  Operation cancelled')
+      return { results: [], failed: false }
+    }
+  }
+
+  logger.log(`🚀 aws ${action} for ${envs.length} environment(s), ${concurrency} at a time`)
+
+  const results = await mapConcurrent(envs, concurrency, async env => {
+    try {
+      const result = await awsCommand(action, {
+        ...options,
+        env,
+        envs: undefined,
+        allEnvs: false,
+        interactive: false,
+        confirm: false
+      })
+      return { env, outcome: result?.outcome || 'updated', detail: result?.detail }
+    } catch (error) {
+      return { env, outcome: 'failed', detail: error.message }
+    }
+  })
+
+  printSummary(`aws ${action}${options.dryRun ? ' (dry run)' : ''}`, results)
+  return { results, failed: results.some(result => result.outcome === 'failed') }
+}
+
+/**
+ * Rotate keys of a secret (`aws rotate`): write a generated value for
+ * `options.key`, or with `--all-stale` for every key under rotation.keys
+ * unchanged for `--max-age` days, through the same path as `set`. The
+ * value it replaces is kept under previousKey() until the grace period is
+ * over; later rotations remove expired previous values. The rotation hook
+ * runs once per rotated key. Resolves to `{ outcome, rotated, expired }`.
+ */
+async function rotateSecretKeys({ environment, secretName, backend, plan, configDir, packageName, schema, options }) {
+  const settings = rotationSettings()
+  const existing = await backend.read(secretName)
+  const candidates = options.allStale ? Object.keys(settings.keys) : [options.key]
+
+  if (!options.allStale && !options.key) {
+    throw new Error('Specify the key to rotate, or --all-stale')
+  }
+  if (options.allStale && candidates.length === 0) {
+    throw new Error('No keys to check. List them under rotation.keys in .mysteriorc')
+  }
+
+  const maxAge = Number(options.maxAge ?? settings.maxAgeDays)
+  if (options.allStale && !(maxAge > 0)) {
+    throw new Error('Specify the age with --max-age <days> or rotation.maxAgeDays in .mysteriorc')
+  }
+
+  // One pass over the secret's versions dates both keys and previous values
+  const allPrevious = [...new Set([...Object.keys(settings.keys), ...candidates])].map(previousKey)
+  const since = existing
+    ? await lastChanged(backend, secretName, [...candidates, ...allPrevious])
+    : new Map()
+
+  let keys = candidates
+  if (options.allStale) {
+    for (const key of candidates.filter(key => !since.has(key))) {
+      logger.log(`⚠️  ${key} is not in ${secretName}, skipped`)
+    }
+    keys = candidates.filter(key => since.has(key) && ageInDays(since.get(key)) >= maxAge)
+  }
+
+  const rotating = new Set(keys.map(previousKey))
+  const expired = allPrevious.filter(key =>
+    since.has(key) && !rotating.has(key) && ageInDays(since.get(key)) >= settings.gracePeriodDays)
+
+  if (keys.length === 0 && expired.length === 0) {
+    logger.log(`✅ No keys older than ${maxAge} day(s) in ${secretName}`)
+    return { outcome: 'unchanged', rotated: [], expired: [] }
+  }
+
+  const overrides = { generator: options.generator, length: options.length, charset: options.charset }
+  const rotations = keys.map(key => ({
+    key,
+    policy: rotationPolicy(key, overrides),
+    previous: getPath(existing, key)
+  }))
+  for (const rotation of rotations) {
+    rotation.value = generateValue(rotation.policy)
+  }
+
+  const context = { env: environment, target: 'aws', configDir, packageName, plan, schema, backend, command: 'aws rotate' }
+  await applyConfigValues(rotations.flatMap(({ key, value, previous }) => previous === undefined
+    ? [[key, value]]
+    : [[key, value], [previousKey(key), previous]]), context)
+
+  for (const key of expired) {
+    await removeConfigValue(key, context)
+  }
+
+  for (const { key, previous } of rotations) {
+    logger.log(`🔄 Rotated ${key} in ${secretName}`)
+    if (previous !== undefined) {
+      logger.log(`   Previous value kept as ${previousKey(key)} for ${settings.gracePeriodDays} day(s)`)
+    }
+  }
+  for (const key of expired) {
+    logger.log(`🧹 Removed ${key}, its grace period is over`)
+  }
+
+  for (const { key, value, previous, policy } of rotations) {
+    const hook = policy.hook || settings.hook
+    if (!hook) continue
+
+    if (plan.dryRun) {
+      logger.log(`📝 Would run rotation hook for ${key}: ${hook}`)
+      continue
+    }
+
+    try {
+      await runRotationHook(hook, {
+        MYSTERIO_ENV: environment,
+        MYSTERIO_SECRET_NAME: secretName,
+        MYSTERIO_KEY: key,
+        MYSTERIO_VALUE: toEnvValue(value),
+        ...(previous !== undefined && { MYSTERIO_PREVIOUS_VALUE: toEnvValue(previous) })
+      })
+      logger.log(`🪝 Ran rotation hook for ${key}`)
+    } catch (error) {
+      logger.error(`❌ Rotation hook failed for ${key}:`, error.message)
+      logger.log(`💡 The new value is already in ${secretName}. Fix the hook and run it again, the old value is in ${previousKey(key)}`)
+      throw error
+    }
+  }
+
+  return { outcome: 'updated', rotated: keys, expired }
+}
+
+// Run a rotation hook through the shell. Its output goes to stderr so it
+// never mixes with --json output.
+function runRotationHook(hook, env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(hook, { shell: true, cwd: resolvePath(), stdio: ['ignore', 2, 2], env: { ...process.env, ...env } })
+    child.on('error', reject)
+    child.on('exit', (code, signal) => {
+      if (code === 0) {
+        resolve()
+      } else {
+        reject(new Error(`'${hook}' exited with ${signal || `code ${code}`}`))
+      }
+    })
+  })
+}
+
 /**
  * Refactored env command
  */
@@ -916,115 +2004,585 @@ export async function envCommand(action, name, options) {
   const debug = util.debuglog('mysterio-cli')
   debug('Environment command:', { action, name, options })
 
-  const configDir = path.resolve(options.configDir || config.configDirPath || './config')
+  if (options.package || options.allPackages) {
+    return await forEachPackage(options, packageOptions => envCommand(action, name, packageOptions))
+  }
+
+  const configDir = resolvePath(options.configDir || config.configDirPath || './config')
+  const packageName = options.packageName || config.packageName
+  const plan = createPlan(options)
+  let result
 
   try {
     switch (action) {
       case 'create': {
         if (!name) {
-          name = await input({ message: 'Environment name:' })
+          name = await input({ message: 'Environment name:', hint: 'the environment name as an argument' })
         }
 
         const configFile = path.join(configDir, `${name}.json`)
 
         // Check if already exists
-        try {
-          await fs.access(configFile)
-          console.error(`❌ Environment '${name}' already exists`)
-          return
-        } catch {
-          // Doesn't exist, proceed
+        const exists = await fs.access(configFile).then(() => true, () => false)
+        if (exists) {
+          throw new ConflictError(`Environment '${name}' already exists`)
         }
 
         let configData = { environment: name }
 
+        if (options.from && options.extends) {
+          throw new Error('Use either --from (copy once) or --extends (inherit), not both')
+        }
+
+        // Inherit from another environment, resolved on every read
+        if (options.extends) {
+          if (!await readEnvConfig(configDir, options.extends)) {
+            throw new NotFoundError(`Environment '${options.extends}' not found`)
+          }
+          configData = { extends: options.extends, environment: name }
+          logger.log(`🔗 Extends: ${options.extends}`)
+        }
+
         // Use template if specified
         if (options.from) {
           const templateFile = path.join(configDir, `${options.from}.json`)
           try {
             const templateContent = await fs.readFile(templateFile, 'utf-8')
             configData = { ...JSON.parse(templateContent), environment: name }
-            console.log(`📋 Using template from: ${options.from}`)
+            logger.log(`📋 Using template from: ${options.from}`)
           } catch {
-            console.error(`❌ Template environment '${options.from}' not found`)
+            logger.error(`❌ Template environment '${options.from}' not found`)
             throw new Error('Template not found')
           }
         }
 
-        await fs.mkdir(configDir, { recursive: true })
-        await fs.writeFile(configFile, JSON.stringify(configData, null, 2))
-        console.log(`✅ Created environment: ${name}`)
+        await plan.run({
+          description: `write ${configFile}`,
+          after: configData
+        }, async () => {
+          await fs.mkdir(configDir, { recursive: true })
+          await fs.writeFile(configFile, JSON.stringify(configData, null, 2))
+          await recordAudit({ command: 'env create', env: name, target: 'local', resource: configFile, after: configData })
+          logger.log(`✅ Created environment: ${name}`)
+        })
 
         // Create in AWS if requested
-        if (options.withAws && config.packageName) {
-          await awsCommand('push', { env: name, override: false })
+        if (options.withAws && packageName) {
+          await plan.run({
+            description: `push '${name}' to AWS secret ${packageName}/${name}`,
+            secret: true,
+            after: configData
+          }, () => awsCommand('push', { env: name, override: false, packageName, configDir }))
         }
+        result = { env: name, file: configFile }
         break
       }
 
       case 'list': {
-        const files = await fs.readdir(configDir)
-        const envs = files
-          .filter(f => f.endsWith('.json') && f !== 'default.json')
-          .map(f => f.replace('.json', ''))
+        const envs = await readEnvNames(configDir)
 
-        console.log('📋 Environments:')
+        logger.log('📋 Environments:')
+        const backend = createBackend()
 
-        for (const env of envs) {
-          let status = `  📁 ${env}`
-
-          if (options.showAws && config.packageName) {
-            const secretName = `${config.packageName}/${env}`
-            try {
-              const region = config.awsRegion || 'us-east-1'
-              const secretsClient = getSecretsClient({ region })
-              await secretsClient(secretName)
-              status += ' ☁️  [AWS ✓]'
-            } catch {
-              status += ' ☁️  [AWS ✗]'
-            }
+        // Look up every secret in parallel, then print in order
+        const environments = await mapConcurrent(envs, Number(options.concurrency) || 4, async env => {
+          const bases = baseEnvs(await readJson(path.join(configDir, `${env}.json`)), env)
+          if (!options.showAws || !packageName) {
+            return { name: env, extends: bases }
           }
+          try {
+            return { name: env, extends: bases, aws: Boolean(await backend.read(`${packageName}/${env}`)) }
+          } catch {
+            return { name: env, extends: bases, aws: false }
+          }
+        })
 
-          console.log(status)
-        }
+        printEnvTree(environments)
+        result = { environments }
         break
       }
 
       case 'delete': {
         if (!name) {
-          name = await input({ message: 'Environment to delete:' })
+          name = await input({ message: 'Environment to delete:', hint: 'the environment name as an argument' })
         }
 
-        const confirmed = await confirm({
+        const confirmed = plan.dryRun || await confirm({
           message: `Delete environment '${name}'?`,
+          hint: '--yes',
           default: false
         })
 
         if (!confirmed) {
-          console.log('⚠️  Cancelled')
-          return
+          logger.log('⚠️  Cancelled')
+          return { env: name, deleted: false }
         }
 
         const configFile = path.join(configDir, `${name}.json`)
-        await fs.unlink(configFile)
-        console.log(`✅ Deleted local environment: ${name}`)
+        const existingConfig = await readJson(configFile)
+
+        await plan.run({
+          description: `delete ${configFile}`,
+          before: existingConfig,
+          after: {}
+        }, async () => {
+          await fs.unlink(configFile)
+          await recordAudit({ command: 'env delete', env: name, target: 'local', resource: configFile, before: existingConfig })
+          logger.log(`✅ Deleted local environment: ${name}`)
+        })
 
         // Delete from AWS if requested
-        if (options.withAws && config.packageName) {
-          await awsCommand('delete', {
+        if (options.withAws && packageName) {
+          await plan.run({
+            description: `delete AWS secret ${packageName}/${name}`
+          }, () => awsCommand('delete', {
             env: name,
+            packageName,
             force: options.force,
             days: options.days
-          })
+          }))
         }
+        result = { env: name, deleted: !plan.dryRun }
         break
       }
 
       default:
         throw new Error(`Unknown action: ${action}. Use 'create', 'list', or 'delete'`)
     }
+
+    if (plan.dryRun && action !== 'list') {
+      plan.summary()
+    }
+    return result
   } catch (error) {
-    console.error('❌ Environment operation failed:', error.message)
+    logger.error('❌ Environment operation failed:', error.message)
     throw error
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Read a single config source for an environment. `local` is the raw
+ * `<env>.json` file that push/pull operate on, `aws` is the secret and
+ * `merged` is what `get` resolves by default. Resolves to
+ * `{ config, secretPaths }` like resolveConfigWithSources.
+ */
+async function readSource(source, environment, options) {
+  const configDir = resolvePath(options.configDir || config.configDirPath || './config')
+  const packageName = options.packageName || config.packageName
+
+  switch (source) {
+    case 'local': {
+      const configFile = path.join(configDir, `${environment}.json`)
+      const content = await fs.readFile(configFile, 'utf-8')
+      return { config: JSON.parse(content), secretPaths: new Set() }
+    }
+
+    case 'vault':
+    case 'aws':
+    case 'merged':
+      return await resolveConfigWithSources({
+        env: environment,
+        source,
+        configDir,
+        packageName,
+        backend: createBackend({ region: options.region }),
+        getVaultPassphrase: promptVaultPassphrase(),
+        isSensitive: createSensitivity({
+          classification: createClassification({ schema: await loadSchema(configDir) })
+        }).isSensitive
+      })
+
+    default:
+      throw new Error(`Invalid source: ${source}. Use "local", "vault", "aws", or "merged"`)
+  }
+}
+
+const DIFF_SOURCES = ['local', 'vault', 'aws', 'merged']
+
+/**
+ * Parse a diff operand: `<source>:<env>`, a bare source or a bare env name
+ */
+function parseDiffSpec(spec, defaultSource, defaultEnv) {
+  if (!spec) {
+    return { source: defaultSource, env: defaultEnv }
+  }
+
+  const [first, second] = spec.split(':')
+  if (second !== undefined) {
+    return { source: first, env: second || defaultEnv }
+  }
+
+  return DIFF_SOURCES.includes(first)
+    ? { source: first, env: defaultEnv }
+    : { source: 'local', env: first }
+}
+
+/**
+ * Key-level comparison between two config sources. Resolves to
+ * `{ left, right, diff, drift }`; `drift` is true when any key differs.
+ */
+export async function diffCommand(left, right, options) {
+  debug('Diff command:', { left, right, options })
+
+  const environment = options.env || process.env.NODE_ENV || 'local'
+  const leftSpec = parseDiffSpec(left, 'local', environment)
+  const rightSpec = parseDiffSpec(right, 'aws', environment)
+  const leftLabel = `${leftSpec.source}:${leftSpec.env}`
+  const rightLabel = `${rightSpec.source}:${rightSpec.env}`
+
+  try {
+    const leftSource = await readSource(leftSpec.source, leftSpec.env, options)
+    const rightSource = await readSource(rightSpec.source, rightSpec.env, options)
+
+    const diff = diffConfigs(leftSource.config, rightSource.config)
+    const drift = hasChanges(diff)
+
+    // A key is masked when it is sensitive on either side
+    const configDir = resolvePath(options.configDir || config.configDirPath || './config')
+    const sensitivity = createSensitivity({
+      secretPaths: new Set([...leftSource.secretPaths, ...rightSource.secretPaths]),
+      classification: createClassification({ schema: await loadSchema(configDir) })
+    })
+
+    logger.log(`🔍 Comparing ${leftLabel} → ${rightLabel}`)
+
+    if (drift) {
+      logger.log(formatDiff(diff, { reveal: options.reveal, sensitivity }))
+      logger.log(`📊 ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`)
+    } else {
+      logger.log('✅ No differences')
+    }
+
+    return { left: leftLabel, right: rightLabel, diff: options.reveal ? diff : maskDiff(diff, sensitivity), drift }
+
+  } catch (error) {
+    logger.error('❌ Failed to diff configuration:', error.message)
+    throw error
+  }
+}
+
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP', 'SIGQUIT']
+
+/**
+ * Run a command with the resolved configuration injected as environment
+ * variables. Resolves to the child's exit code.
+ */
+export async function runCommand(command, args, options) {
+  debug('Run command:', { command, args, options })
+
+  let result
+  try {
+    result = await resolveFromOptions(options)
+  } catch (error) {
+    logger.error('❌ Failed to resolve configuration:', error.message)
+    throw error
+  }
+
+  // --only gives a list, the library may get a single string
+  const only = options.only && [].concat(options.only).flatMap(key => key.split(','))
+  const prefix = options.prefix?.toUpperCase()
+  const injected = {}
+
+  for (const [key, value] of Object.entries(result)) {
+    const envKey = toEnvKey(key)
+
+    if (only && !only.includes(key) && !only.includes(envKey)) continue
+    if (prefix && !envKey.startsWith(prefix)) continue
+
+    injected[envKey] = toEnvValue(value)
+  }
+
+  debug('Injecting environment variables:', Object.keys(injected))
+
+  const env = options.keepEnv
+    ? { ...process.env, ...injected, ...process.env }
+    : { ...process.env, ...injected }
+
+  return await new Promise((resolve, reject) => {
+    const child = spawn(command, args, { cwd: resolvePath(), stdio: 'inherit', env })
+
+    const forward = signal => child.kill(signal)
+    for (const signal of FORWARDED_SIGNALS) {
+      process.on(signal, forward)
+    }
+    const cleanup = () => {
+      for (const signal of FORWARDED_SIGNALS) {
+        process.off(signal, forward)
+      }
+    }
+
+    child.on('error', error => {
+      cleanup()
+      logger.error(`❌ Failed to start '${command}':`, error.message)
+      reject(error)
+    })
+
+    child.on('exit', (code, signal) => {
+      cleanup()
+      // Mirror the shell convention for children killed by a signal
+      resolve(signal ? 128 + os.constants.signals[signal] : code)
+    })
+  })
+}
+
+/**
+ * Validate the resolved configuration of one or all environments against
+ * config/schema.json. Resolves to `{ valid, results }`.
+ */
+export async function validateCommand(options) {
+  debug('Validate command:', options)
+
+  const configDir = resolvePath(options.configDir || config.configDirPath || './config')
+
+  try {
+    const schema = await loadSchema(configDir)
+    if (!schema) {
+      throw new Error(`No schema found at ${path.join(configDir, 'schema.json')}`)
+    }
+
+    const envs = options.all
+      ? await readEnvNames(configDir)
+      : [options.env || process.env.NODE_ENV || 'local']
+
+    const results = []
+    for (const env of envs) {
+      let resolved
+      try {
+        resolved = await resolveFromOptions({ ...options, env })
+      } catch (error) {
+        // With --all one environment that can't be resolved doesn't hide the others
+        if (!options.all) throw error
+        logger.log(`❌ ${env}: ${error.message}`)
+        results.push({ env, errors: [], error: error.message })
+        continue
+      }
+
+      const errors = validateConfig(schema, resolved)
+      results.push({ env, errors })
+
+      if (errors.length === 0) {
+        logger.log(`✅ ${env}: valid`)
+      } else {
+        logger.log(`❌ ${env}: ${errors.length} error(s)`)
+        for (const error of errors) {
+          logger.log(`  - ${error.path}: ${error.message}`)
+        }
+      }
+    }
+
+    return { valid: results.every(result => !result.error && result.errors.length === 0), results }
+
+  } catch (error) {
+    logger.error('❌ Failed to validate configuration:', error.message)
+    throw error
+  }
+}
+
+const AUDIT_SYMBOLS = { added: '+', removed: '-', changed: '~' }
+
+/**
+ * Query the audit log by environment, key or date range. Resolves to the
+ * matching records.
+ */
+export async function auditCommand(options) {
+  debug('Audit command:', options)
+
+  try {
+    const records = await readAudit({
+      env: options.env,
+      key: options.key,
+      since: options.since,
+      until: options.until
+    })
+
+    if (records.length === 0) {
+      logger.log('📋 No matching audit records')
+      return records
+    }
+
+    for (const record of records) {
+      logger.log(`🕒 ${record.timestamp}  ${record.user}  ${record.command}  ${record.env} → ${record.target} (${record.resource})`)
+      for (const change of record.changes) {
+        const hashes = [change.oldHash, change.newHash]
+          .map(hash => hash ? hash.slice(0, 12) : '∅')
+          .join(' → ')
+        logger.log(`     ${AUDIT_SYMBOLS[change.change]} ${change.key}  ${hashes}`)
+      }
+    }
+
+    return records
+
+  } catch (error) {
+    logger.error('❌ Failed to read audit log:', error.message)
+    throw error
+  }
+}
+
+const DOCTOR_SYMBOLS = { pass: '✅', warn: '⚠️ ', fail: '❌' }
+
+/**
+ * Check the project setup, AWS credentials and access to each environment's
+ * secret. Resolves to `{ checks, ok }`; ok is false when any check failed.
+ */
+export async function doctorCommand(options) {
+  debug('Doctor command:', options)
+
+  try {
+    const checks = await runChecks({
+      configDir: resolvePath(options.configDir || config.configDirPath || './config'),
+      region: options.region,
+      packageName: options.packageName || config.packageName
+    })
+
+    logger.log('🩺 Checking Mysterio setup')
+    for (const { name, status, message, hint } of checks) {
+      logger.log(`  ${DOCTOR_SYMBOLS[status]} ${name}: ${message}`)
+      if (hint && status !== 'pass') {
+        logger.log(`     💡 ${hint}`)
+      }
+    }
+
+    const count = status => checks.filter(check => check.status === status).length
+    logger.log(`\n📊 ${count('pass')} passed, ${count('warn')} warning(s), ${count('fail')} failed`)
+
+    return { checks, ok: count('fail') === 0 }
+
+  } catch (error) {
+    logger.error('❌ Failed to run checks:', error.message)
+    throw error
+  }
+}
+
+/**
+ * Serve resolved configuration over HTTP for processes that can't run the
+ * CLI, such as dev containers. Each environment is resolved as `get` does
+ * and cached for `--ttl` seconds; changes in the config directory empty the
+ * cache. Runs until interrupted and resolves to `{ url, requests }`.
+ */
+export async function serveCommand(options) {
+  debug('Serve command:', options)
+
+  const { configDir, sharedConfigDir } = resolveOptions(options)
+  const host = options.host || '127.0.0.1'
+  const port = options.port ?? 7777
+  const ttl = Number(options.ttl ?? 30) * 1000
+  const token = options.token || process.env.MYSTERIO_SERVE_TOKEN || generateToken()
+  const getVaultPassphrase = promptVaultPassphrase()
+  let requests = 0
+
+  const cache = createCache(ttl, async env => {
+    const { result } = await renderGetOutput({ ...options, env, key: undefined, format: 'json' }, getVaultPassphrase)
+    return result
+  })
+  const handler = createHandler({
+    token,
+    getConfig: env => cache.get(env),
+    onError: (error, env) => logger.error(`❌ Failed to resolve configuration for ${env}:`, error.message)
+  })
+
+  const server = http.createServer((req, res) => {
+    requests++
+    handler(req, res).catch(error => {
+      logger.error(`❌ Failed to answer ${req.method} ${req.url}:`, error.message)
+      if (res.headersSent) {
+        res.end()
+        return
+      }
+      res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' })
+      res.end(`${JSON.stringify({ error: 'Internal server error' }, null, 2)}\n`)
+    })
+  })
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(port, host, resolve)
+    })
+  } catch (error) {
+    logger.error('❌ Failed to start server:', error.message)
+    throw error
+  }
+
+  const url = `http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}`
+  logger.log(`🚀 Serving configuration at ${url}/v1/config/:env`)
+  if (!options.token && !process.env.MYSTERIO_SERVE_TOKEN) {
+    logger.log(`🔑 Token: ${token}`)
+  }
+  if (!options.reveal) {
+    logger.log('💡 Sensitive values are masked, pass --reveal to serve them')
+  }
+  if (!['127.0.0.1', 'localhost', '::1'].includes(host)) {
+    logger.log(`⚠️  Listening on ${host}, so other machines on the network can reach the server`)
+  }
+  logger.log('   Press Ctrl+C to stop')
+
+  await watchChanges({
+    dirs: [configDir, path.join(configDir, '.vault'), sharedConfigDir].filter(Boolean),
+    refresh: async () => {
+      cache.clear()
+      debug('Configuration changed, cache cleared')
+    }
+  })
+
+  server.closeAllConnections()
+  await new Promise(resolve => server.close(resolve))
+  return { url, requests }
+}
+
+export { createMemoryBackend } from './backends.mjs'
+
+/**
+ * The commands as a library. Each method takes the same arguments as the
+ * command function it wraps, with the CLI options as an options object, and
+ * resolves to the command's result. Instead of the process-wide defaults,
+ * the commands use:
+ *
+ *   config         - settings in place of .mysteriorc (default: loaded
+ *                    from `cwd`)
+ *   cwd            - directory relative paths are resolved against
+ *                    (default: process.cwd())
+ *   backend        - secrets backend, e.g. createMemoryBackend() in tests
+ *   secretsClient  - a SecretsManagerClient (or SSMClient with the ssm
+ *                    backend) for the primary region
+ *   prompts        - { confirm, input, select, password } answering the
+ *                    prompts, like @inquirer/prompts
+ *   yes            - answer prompts as --yes does
+ *   interactive    - false to fail instead of prompting, as
+ *                    --non-interactive does (default: prompt when `prompts`
+ *                    is given or on a TTY)
+ *   logger         - receives the progress messages (default: none)
+ *
+ * `writes()` lists the files and secrets written through the instance, as
+ * in the --json output.
+ */
+export function createMysterio(options = {}) {
+  const context = {
+    config: options.config ? createConfig(options.config) : options.cwd ? loadConfig(resolvePath(options.cwd)) : undefined,
+    cwd: options.cwd && resolvePath(options.cwd),
+    backend: options.backend,
+    secretsClient: options.secretsClient,
+    prompts: options.prompts,
+    yes: options.yes,
+    interactive: options.interactive,
+    logger: options.logger || silentLogger,
+    writes: []
+  }
+  const run = fn => runWithContext(context, fn)
+
+  return {
+    init: (commandOptions = {}) => run(() => initMysterio(commandOptions)),
+    get: (commandOptions = {}) => run(() => getConfig(commandOptions)),
+    set: (key, value, commandOptions = {}) => run(() => setConfig(key, value, commandOptions)),
+    unset: (key, commandOptions = {}) => run(() => unsetConfig(key, commandOptions)),
+    import: (file, commandOptions = {}) => run(() => importConfig(file, commandOptions)),
+    env: (action, name, commandOptions = {}) => run(() => envCommand(action, name, commandOptions)),
+    aws: (action, commandOptions = {}) => run(() => awsCommand(action, commandOptions)),
+    diff: (left, right, commandOptions = {}) => run(() => diffCommand(left, right, commandOptions)),
+    run: (command, args = [], commandOptions = {}) => run(() => runCommand(command, args, commandOptions)),
+    validate: (commandOptions = {}) => run(() => validateCommand(commandOptions)),
+    audit: (commandOptions = {}) => run(() => auditCommand(commandOptions)),
+    doctor: (commandOptions = {}) => run(() => doctorCommand(commandOptions)),
+    serve: (commandOptions = {}) => run(() => serveCommand(commandOptions)),
+    writes: () => run(sessionWrites)
+  }
+}
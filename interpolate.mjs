@@ -0,0 +1,145 @@
+import { getPath, isPlainObject, flattenConfig } from './diff.mjs'
+
+// ${ref:key}, ${env:VAR} or ${secret:key}; $${...} is a literal ${...}
+const PLACEHOLDER = /\$(\$?)\{(ref|env|secret):([^}]*)\}/g
+const WHOLE_PLACEHOLDER = /^\$\{(ref|env|secret):([^}]*)\}$/
+
+export class InterpolationError extends Error {
+  constructor(message, keyPath) {
+    super(keyPath ? `${keyPath}: ${message}` : message)
+    this.name = 'InterpolationError'
+    this.keyPath = keyPath
+  }
+}
+
+function toText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+/**
+ * Expand placeholders in string values:
+ *
+ *   ${ref:other.key}  - another key of the same config, itself expanded
+ *   ${env:VAR}        - a variable of `env` (process.env by default)
+ *   ${secret:key}     - a key of the AWS secret, read on first use through
+ *                       `readSecret`
+ *
+ * A value that is exactly one placeholder takes the type of what it refers
+ * to; inside a longer string the value is inserted as text.
+ *
+ * Keys that expand to a secret, to a key in `secretPaths` or to a key
+ * `isSensitive` accepts (say `${ref:dbPassword}` inside a connection
+ * string) are added to the returned `secretPaths` so they stay masked.
+ * Resolves to `{ config, secretPaths }`.
+ */
+export async function interpolateConfig(configData, { env = process.env, readSecret, secretPaths = new Set(), isSensitive: isSensitiveKey = () => false } = {}) {
+  const expanded = new Map()
+  const sensitive = new Set(secretPaths)
+  let secret
+
+  // A referenced key is sensitive when it, a parent or a key under it is
+  const isSensitive = (keyPath, value) =>
+    isSensitiveKey(keyPath) ||
+    Object.keys(flattenConfig(isPlainObject(value) ? value : {}, keyPath)).some(isSensitiveKey) ||
+    [...sensitive].some(secretPath =>
+      secretPath === keyPath || secretPath.startsWith(`${keyPath}.`) || keyPath.startsWith(`${secretPath}.`))
+
+  // Mark a key as sensitive, and every key of an object it expanded to
+  const markSensitive = (keyPath, value) => {
+    sensitive.add(keyPath)
+    for (const childPath of Object.keys(flattenConfig(isPlainObject(value) ? value : {}, keyPath))) {
+      sensitive.add(childPath)
+    }
+  }
+
+  async function lookup(kind, name, keyPath, stack) {
+    switch (kind) {
+      case 'ref': {
+        if (getPath(configData, name) === undefined) {
+          throw new InterpolationError(`\${ref:${name}} refers to a missing key`, keyPath)
+        }
+        const value = await expandPath(name, stack)
+        if (isSensitive(name, value)) markSensitive(keyPath, value)
+        return value
+      }
+
+      case 'env': {
+        if (env[name] === undefined) {
+          throw new InterpolationError(`\${env:${name}} is not set`, keyPath)
+        }
+        return env[name]
+      }
+
+      case 'secret': {
+        if (!readSecret) {
+          throw new InterpolationError(`\${secret:${name}} needs the AWS secret`, keyPath)
+        }
+        secret ??= await readSecret()
+        const value = getPath(secret, name)
+        if (value === undefined) {
+          throw new InterpolationError(`\${secret:${name}} is not in the secret`, keyPath)
+        }
+        markSensitive(keyPath, value)
+        return value
+      }
+    }
+  }
+
+  async function expandString(value, keyPath, stack) {
+    const whole = value.match(WHOLE_PLACEHOLDER)
+    if (whole) {
+      return await lookup(whole[1], whole[2], keyPath, stack)
+    }
+
+    let result = ''
+    let last = 0
+    for (const match of value.matchAll(PLACEHOLDER)) {
+      const [text, escape, kind, name] = match
+      result += value.slice(last, match.index)
+      result += escape ? text.slice(1) : toText(await lookup(kind, name, keyPath, stack))
+      last = match.index + text.length
+    }
+    return result + value.slice(last)
+  }
+
+  async function expandValue(value, keyPath, stack) {
+    if (typeof value === 'string') {
+      return await expandString(value, keyPath, stack)
+    }
+    if (Array.isArray(value)) {
+      const items = []
+      for (const [index, item] of value.entries()) {
+        items.push(await expandValue(item, `${keyPath}.${index}`, stack))
+      }
+      return items
+    }
+    if (isPlainObject(value)) {
+      const result = {}
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = keyPath ? `${keyPath}.${key}` : key
+        result[key] = await expandPath(childPath, stack, child)
+      }
+      return result
+    }
+    return value
+  }
+
+  // Expand the value at a dot path once, following references depth first
+  async function expandPath(keyPath, stack, value = getPath(configData, keyPath)) {
+    if (expanded.has(keyPath)) {
+      return expanded.get(keyPath)
+    }
+    if (stack.includes(keyPath)) {
+      throw new InterpolationError(`circular reference: ${[...stack.slice(stack.indexOf(keyPath)), keyPath].join(' → ')}`)
+    }
+
+    const result = await expandValue(value, keyPath, [...stack, keyPath])
+    expanded.set(keyPath, result)
+    return result
+  }
+
+  return {
+    config: await expandValue(configData, '', []),
+    secretPaths: sensitive
+  }
+}
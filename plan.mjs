@@ -0,0 +1,40 @@
+import { diffConfigs, hasChanges, formatDiff } from './diff.mjs'
+import { logger } from './context.mjs'
+import { createSensitivity } from './sensitivity.mjs'
+
+/**
+ * Every file write and AWS call of a mutating command goes through a plan.
+ * Normally the plan just performs each step; with `dryRun` it prints the
+ * step and its key-level changes instead, and performs nothing. Values of
+ * sensitive keys (`options.sensitivity`, createSensitivity() by default) are
+ * masked unless `reveal` is set; steps marked `secret` write to a secret or
+ * the vault and mask every value.
+ */
+export function createPlan(options = {}) {
+  const dryRun = Boolean(options.dryRun)
+  const reveal = Boolean(options.reveal)
+  const sensitivity = options.sensitivity || createSensitivity()
+  const steps = []
+
+  async function run({ description, before, after, secret = false }, perform) {
+    if (!dryRun) {
+      return await perform()
+    }
+
+    steps.push({ description, before, after })
+    logger.log(`📝 Would ${description}`)
+
+    if (before !== undefined || after !== undefined) {
+      const diff = diffConfigs(before || {}, after || {})
+      logger.log(hasChanges(diff) ? formatDiff(diff, { reveal, indent: '     ', sensitivity: secret ? undefined : sensitivity }) : '     (no key changes)')
+    }
+
+    return null
+  }
+
+  function summary() {
+    logger.log(`📝 Dry run: ${steps.length} operation(s) planned, nothing was changed`)
+  }
+
+  return { dryRun, steps, run, summary }
+}
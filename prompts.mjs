@@ -0,0 +1,74 @@
+import * as inquirer from '@inquirer/prompts'
+import { currentContext } from './context.mjs'
+
+/**
+ * Thrown instead of prompting when running non-interactively. `hint` names
+ * the flag or setting that supplies the answer.
+ */
+export class InputRequiredError extends Error {
+  constructor(question, hint) {
+    super(`Input required: ${question.replace(/[:?]\s*$/, '')}${hint ? `. Pass ${hint}` : ''}`)
+    this.name = 'InputRequiredError'
+    this.hint = hint
+  }
+}
+
+/**
+ * How prompts are answered comes from the current createMysterio() context:
+ * `yes` answers confirmations with yes and other prompts with their
+ * default, `interactive: false` makes unanswered prompts throw, and
+ * `prompts` replaces @inquirer/prompts. When `interactive` is not set,
+ * prompting needs either a `prompts` provider or a TTY on stdin and stdout.
+ */
+function settings() {
+  const { yes = false, prompts } = currentContext()
+  return { yes, provider: prompts || inquirer }
+}
+
+export function isInteractive() {
+  const { interactive, prompts } = currentContext()
+  return interactive ?? Boolean(prompts || (process.stdin.isTTY && process.stdout.isTTY))
+}
+
+// The prompts below take the @inquirer/prompts options plus `hint`
+
+/**
+ * A yes/no question. With `assumeDefault`, --yes answers with the default
+ * instead of yes, for questions that choose rather than confirm.
+ */
+export async function confirm({ hint, assumeDefault = false, ...prompt }) {
+  if (settings().yes) {
+    return assumeDefault ? Boolean(prompt.default) : true
+  }
+  if (isInteractive()) {
+    return await settings().provider.confirm(prompt)
+  }
+  throw new InputRequiredError(prompt.message, hint || '--yes')
+}
+
+export async function input({ hint, ...prompt }) {
+  if (settings().yes && prompt.default !== undefined) {
+    return prompt.default
+  }
+  if (isInteractive()) {
+    return await settings().provider.input(prompt)
+  }
+  throw new InputRequiredError(prompt.message, hint)
+}
+
+export async function select({ hint, ...prompt }) {
+  if (settings().yes && prompt.default !== undefined) {
+    return prompt.default
+  }
+  if (isInteractive()) {
+    return await settings().provider.select(prompt)
+  }
+  throw new InputRequiredError(prompt.message, hint)
+}
+
+export async function password({ hint, ...prompt }) {
+  if (isInteractive()) {
+    return await settings().provider.password(prompt)
+  }
+  throw new InputRequiredError(prompt.message, hint)
+}
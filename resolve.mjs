@@ -0,0 +1,211 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { config } from './config.mjs'
+import { resolvePath } from './context.mjs'
+import { SecretNotFoundError } from './backends.mjs'
+import { NotFoundError } from './errors.mjs'
+import { readVault, vaultPath } from './vault.mjs'
+import { flattenConfig, unflattenConfig, isPlainObject } from './diff.mjs'
+import { interpolateConfig } from './interpolate.mjs'
+import { createSensitivity } from './sensitivity.mjs'
+
+/**
+ * Recursively merge plain objects, later sources winning. Arrays and other
+ * values are replaced, not merged.
+ */
+export function deepMerge(...sources) {
+  const result = {}
+
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      result[key] = isPlainObject(value) && isPlainObject(result[key])
+        ? deepMerge(result[key], value)
+        : value
+    }
+  }
+
+  return result
+}
+
+/**
+ * Parsed contents of a JSON file, or null when it does not exist
+ */
+export async function readJson(file) {
+  try {
+    const content = await fs.readFile(file, 'utf-8')
+    return JSON.parse(content)
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+/**
+ * Names of the environments an environment file `extends`, as a list
+ */
+export function baseEnvs(envFile, env) {
+  const bases = [envFile?.extends ?? []].flat()
+  if (bases.some(base => typeof base !== 'string' || !base)) {
+    throw new Error(`Invalid "extends" in ${env}.json: use an environment name or a list of names`)
+  }
+  return bases
+}
+
+/**
+ * `<env>.json` merged over the environments it `extends`, recursively and
+ * bases first. Resolves to `{ config, inherited, bases }`, where
+ * `inherited` is the merge of the bases alone, or to null when the file
+ * does not exist.
+ */
+export async function readEnvConfig(configDir, env, stack = []) {
+  if (stack.includes(env)) {
+    throw new Error(`Circular extends: ${[...stack.slice(stack.indexOf(env)), env].join(' → ')}`)
+  }
+
+  const envFile = await readJson(path.join(configDir, `${env}.json`))
+  if (!envFile) {
+    if (stack.length > 0) {
+      throw new NotFoundError(`"${stack.at(-1)}" extends missing environment "${env}"`)
+    }
+    return null
+  }
+
+  const { extends: _, ...values } = envFile
+  const bases = baseEnvs(envFile, env)
+  const parents = []
+  for (const base of bases) {
+    parents.push((await readEnvConfig(configDir, base, [...stack, env])).config)
+  }
+
+  const inherited = deepMerge(...parents)
+  return { config: deepMerge(inherited, values), inherited, bases }
+}
+
+/**
+ * What to write to `<env>.json` for a resolved config: with `extends`, only
+ * the values that differ from the inherited ones
+ */
+export function envFileContent(configData, { inherited, bases } = {}) {
+  if (!bases?.length) {
+    return configData
+  }
+
+  const flatInherited = flattenConfig(inherited)
+  const own = Object.entries(flattenConfig(configData))
+    .filter(([keyPath, value]) => JSON.stringify(flatInherited[keyPath]) !== JSON.stringify(value))
+
+  return {
+    extends: bases.length === 1 ? bases[0] : bases,
+    ...unflattenConfig(Object.fromEntries(own))
+  }
+}
+
+/**
+ * `default.json` overlaid with `<env>.json` and the environments it extends,
+ * the local layer of every source. In a monorepo package the root config
+ * dir (`sharedConfigDir`) is merged under the package's own.
+ */
+export async function readLocalConfig(configDir, env, sharedConfigDir) {
+  const readLayer = async dir => {
+    const defaults = await readJson(path.join(dir, 'default.json'))
+    const envConfig = (await readEnvConfig(dir, env))?.config
+    return defaults || envConfig ? { ...defaults, ...envConfig } : null
+  }
+
+  const own = await readLayer(configDir)
+  const shared = sharedConfigDir && resolvePath(sharedConfigDir) !== resolvePath(configDir)
+    ? await readLayer(sharedConfigDir)
+    : null
+
+  if (!own && !shared) {
+    throw new NotFoundError(`missing configuration file in ${configDir} for "${env}" env`)
+  }
+
+  return shared ? deepMerge(shared, own) : own
+}
+
+/**
+ * Resolve configuration for an environment from a source:
+ *
+ *   local  - default.json + the environments <env>.json extends +
+ *            <env>.json, over the shared root config in a monorepo package
+ *   vault  - the encrypted vault for the environment
+ *   aws    - the secret read through the active backend
+ *   merged - local, then the vault, then the secret, then .mysteriorc
+ *
+ * `${ref:...}`, `${env:...}` and `${secret:...}` placeholders in the result
+ * are expanded unless `raw` is set.
+ */
+export async function resolveConfig(options) {
+  const { config } = await resolveConfigWithSources(options)
+  return config
+}
+
+/**
+ * Like resolveConfig, but also reports which dot paths came from the vault
+ * or the secret, or expand a sensitive key (`isSensitive`, by default the
+ * key patterns and `sensitiveKeys`). Resolves to `{ config, secretPaths }`.
+ */
+export async function resolveConfigWithSources({ raw = false, isSensitive = createSensitivity().isSensitive, ...options }) {
+  const { config, secretPaths, readSecret } = await readSource(options)
+  if (raw) {
+    return { config, secretPaths }
+  }
+  return await interpolateConfig(config, { readSecret, secretPaths, isSensitive })
+}
+
+async function readSource({ env, source = 'merged', configDir, sharedConfigDir, packageName, backend, getVaultPassphrase }) {
+  const secretName = `${packageName}/${env}`
+  const pathsOf = (...layers) => new Set(layers.flatMap(layer => Object.keys(flattenConfig(layer || {}))))
+
+  // Read at most once, whether by the source or by a ${secret:...}
+  let secret
+  function readSecret() {
+    secret ??= (async () => {
+      if (!packageName) {
+        throw new Error('Package name required for AWS operations. Set in .mysteriorc')
+      }
+
+      const secrets = await backend.read(secretName)
+      if (!secrets) {
+        throw new SecretNotFoundError(secretName, backend.label)
+      }
+      return secrets
+    })()
+    return secret
+  }
+
+  switch (source) {
+    case 'local':
+      return { config: await readLocalConfig(configDir, env, sharedConfigDir), secretPaths: new Set(), readSecret }
+
+    case 'vault': {
+      const vault = await readVault(configDir, env, getVaultPassphrase)
+      if (!vault) {
+        throw new NotFoundError(`missing vault file ${vaultPath(configDir, env)}`)
+      }
+      return { config: vault, secretPaths: pathsOf(vault), readSecret }
+    }
+
+    case 'aws': {
+      const secrets = await readSecret()
+      return { config: secrets, secretPaths: pathsOf(secrets), readSecret }
+    }
+
+    case 'merged':
+    case 'all': {
+      const local = await readLocalConfig(configDir, env, sharedConfigDir)
+      const vault = await readVault(configDir, env, getVaultPassphrase)
+      const secrets = await readSecret()
+      const localRC = await readJson(resolvePath(config.localRCPath || '.mysteriorc'))
+      return {
+        config: deepMerge(local, vault, secrets, localRC),
+        secretPaths: pathsOf(vault, secrets),
+        readSecret
+      }
+    }
+
+    default:
+      throw new Error(`Invalid source: ${source}. Use "local", "vault", "aws", or "merged"`)
+  }
+}
@@ -0,0 +1,125 @@
+import crypto from 'node:crypto'
+import { config } from './config.mjs'
+import { getPath } from './diff.mjs'
+
+export const GENERATORS = ['password', 'hex', 'base64', 'uuid']
+
+const CHARSETS = {
+  alnum: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789',
+  alpha: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+  numeric: '0123456789',
+  symbols: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!#%*+-=?@^_~'
+}
+
+const DEFAULT_POLICY = {
+  generator: 'password',
+  length: 32,
+  charset: 'alnum'
+}
+
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * The `rotation` settings of .mysteriorc with their defaults
+ */
+export function rotationSettings() {
+  const settings = config.rotation || {}
+  return {
+    keys: settings.keys || {},
+    maxAgeDays: settings.maxAgeDays,
+    gracePeriodDays: settings.gracePeriodDays ?? 7,
+    previousSuffix: settings.previousSuffix,
+    hook: settings.hook
+  }
+}
+
+/**
+ * How to generate a key's new value: the key's entry under `rotation.keys`
+ * over the defaults, with command line `overrides` on top
+ */
+export function rotationPolicy(key, overrides = {}) {
+  const policy = { ...DEFAULT_POLICY, ...rotationSettings().keys[key] }
+  for (const [name, value] of Object.entries(overrides)) {
+    if (value !== undefined) policy[name] = value
+  }
+  return policy
+}
+
+/**
+ * Generate a value from a policy:
+ *
+ *   password - `length` characters from `charset`, a preset (alnum, alpha,
+ *              numeric, symbols) or the characters to use
+ *   hex      - `length` random bytes as hex
+ *   base64   - `length` random bytes as base64url
+ *   uuid     - a random UUID
+ */
+export function generateValue({ generator, length, charset }) {
+  const size = Number(length)
+  if (generator !== 'uuid' && (!Number.isInteger(size) || size < 1)) {
+    throw new Error(`Invalid length: ${length}`)
+  }
+
+  switch (generator) {
+    case 'password': {
+      const characters = CHARSETS[charset] || charset
+      if (!characters || characters.length < 2) {
+        throw new Error(`Invalid charset: ${charset}. Use ${Object.keys(CHARSETS).join(', ')} or the characters to use`)
+      }
+      return Array.from({ length: size }, () => characters[crypto.randomInt(characters.length)]).join('')
+    }
+    case 'hex':
+      return crypto.randomBytes(size).toString('hex')
+    case 'base64':
+      return crypto.randomBytes(size).toString('base64url')
+    case 'uuid':
+      return crypto.randomUUID()
+    default:
+      throw new Error(`Unknown generator: ${generator}. Use ${GENERATORS.join(', ')}`)
+  }
+}
+
+/**
+ * Where the previous value of a key is kept during the grace period:
+ * `dbPassword` → `dbPasswordPrevious`, `DB_PASSWORD` → `DB_PASSWORD_PREVIOUS`,
+ * or the key followed by `previousSuffix` when one is configured
+ */
+export function previousKey(key) {
+  const { previousSuffix } = rotationSettings()
+  if (previousSuffix) {
+    return `${key}${previousSuffix}`
+  }
+  return /^[A-Z][A-Z0-9_]*$/.test(key.split('.').at(-1)) ? `${key}_PREVIOUS` : `${key}Previous`
+}
+
+/**
+ * When each key last changed value, going back through the secret's
+ * versions (newest first). A key unchanged in every version still kept is
+ * dated by the oldest one. Keys not in the current version are left out.
+ */
+export async function lastChanged(backend, secretName, keys) {
+  const current = await backend.read(secretName)
+  const pending = new Set(keys.filter(key => getPath(current, key) !== undefined))
+  const since = new Map()
+
+  for (const version of await backend.versions(secretName)) {
+    if (pending.size === 0) break
+
+    const data = await backend.read(secretName, { versionId: version.versionId })
+    if (!data) break
+
+    for (const key of pending) {
+      if (JSON.stringify(getPath(data, key)) === JSON.stringify(getPath(current, key))) {
+        since.set(key, version.createdAt ? new Date(version.createdAt) : null)
+      } else {
+        pending.delete(key)
+      }
+    }
+  }
+
+  return since
+}
+
+export function ageInDays(date, now = Date.now()) {
+  return date ? (now - date.getTime()) / DAY : 0
+}
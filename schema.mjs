@@ -0,0 +1,116 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import Ajv from 'ajv'
+import addFormats from 'ajv-formats'
+
+/**
+ * Thrown when a configuration does not match config/schema.json
+ */
+export class ValidationError extends Error {
+  constructor(message, errors) {
+    super(message)
+    this.name = 'ValidationError'
+    this.errors = errors
+  }
+}
+
+export function schemaPath(configDir) {
+  return path.join(configDir, 'schema.json')
+}
+
+/**
+ * The project's JSON Schema, or null when it has none
+ */
+export async function loadSchema(configDir) {
+  try {
+    const content = await fs.readFile(schemaPath(configDir), 'utf-8')
+    return JSON.parse(content)
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+// A single layer (one env file, one secret) can't be expected to hold every
+// required key, so partial validation only checks the keys that are there
+function withoutRequired(schema, isPropertyMap = false) {
+  if (Array.isArray(schema)) {
+    return schema.map(item => withoutRequired(item))
+  }
+  if (schema === null || typeof schema !== 'object') {
+    return schema
+  }
+
+  const result = {}
+  for (const [key, value] of Object.entries(schema)) {
+    // Inside `properties` the keys are config keys, not keywords
+    if (key !== 'required' || isPropertyMap) {
+      result[key] = withoutRequired(value, !isPropertyMap && key === 'properties')
+    }
+  }
+  return result
+}
+
+/**
+ * Validate data against a schema. Returns a list of `{ path, message }`
+ * errors, empty when the data is valid.
+ */
+export function validateConfig(schema, data, { partial = false } = {}) {
+  const ajv = new Ajv({ allErrors: true, strict: false })
+  addFormats(ajv)
+
+  const validate = ajv.compile(partial ? withoutRequired(schema) : schema)
+  if (validate(data)) {
+    return []
+  }
+
+  return validate.errors.map(error => {
+    const parts = error.instancePath.split('/').slice(1)
+    if (error.keyword === 'required') {
+      parts.push(error.params.missingProperty)
+    }
+    return { path: parts.join('.') || '(root)', message: error.message }
+  })
+}
+
+/**
+ * Throw a ValidationError when data does not match the schema
+ */
+export function assertValid(schema, data, { partial = false, label = 'configuration' } = {}) {
+  const errors = validateConfig(schema, data, { partial })
+  if (errors.length > 0) {
+    const details = errors.map(error => `${error.path} ${error.message}`).join('; ')
+    throw new ValidationError(`Invalid ${label}: ${details}`, errors)
+  }
+}
+
+function schemaAt(schema, keyPath) {
+  let node = schema
+  for (const part of keyPath.split('.')) {
+    node = node?.properties?.[part]
+  }
+  return node
+}
+
+/**
+ * Convert a string value from the command line to the type the schema
+ * declares for the key, leaving it as is when it doesn't parse
+ */
+export function coerceValue(schema, keyPath, value) {
+  const types = [].concat(schemaAt(schema, keyPath)?.type || [])
+  if (typeof value !== 'string' || types.includes('string')) {
+    return value
+  }
+
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value)
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true'
+  }
+  if (types.includes('null') && value === 'null') {
+    return null
+  }
+
+  return value
+}
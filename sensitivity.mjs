@@ -0,0 +1,112 @@
+import { config } from './config.mjs'
+import { maskValue, isPlainObject } from './diff.mjs'
+
+/**
+ * Key name patterns that are always sensitive, on top of `sensitiveKeys`
+ * in .mysteriorc. `*` matches any run of characters.
+ */
+export const DEFAULT_SENSITIVE_PATTERNS = [
+  'password', '*_PASSWORD', '*Password',
+  'secret', '*_SECRET', '*Secret',
+  'token', '*_TOKEN', '*Token',
+  '*_KEY', '*Key'
+]
+
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')
+  return new RegExp(`^${source}$`)
+}
+
+// A dot path matches when it or one of its parents matches a pattern,
+// either as a whole path or by its last segment
+function createKeyMatcher(patterns) {
+  const regExps = patterns.map(patternToRegExp)
+
+  return keyPath => {
+    const parts = keyPath.split('.')
+    return parts.some((part, index) => {
+      const prefix = parts.slice(0, index + 1).join('.')
+      return regExps.some(regExp => regExp.test(prefix) || regExp.test(part))
+    })
+  }
+}
+
+// Dot paths of schema properties declared with `"secret": true`
+function schemaSecretPaths(schema, prefix = '') {
+  const paths = []
+  for (const [key, property] of Object.entries(schema?.properties || {})) {
+    const keyPath = prefix ? `${prefix}.${key}` : key
+    if (property?.secret === true) {
+      paths.push(keyPath)
+    } else {
+      paths.push(...schemaSecretPaths(property, keyPath))
+    }
+  }
+  return paths
+}
+
+/**
+ * Classifies keys as secret or plain, from `secretKeys` in .mysteriorc
+ * (names or `*` patterns) and schema properties marked `"secret": true`.
+ * `enabled` is false when the project declares no secret keys at all.
+ */
+export function createClassification({ schema = null, keys = config.secretKeys || [] } = {}) {
+  const schemaPaths = schemaSecretPaths(schema)
+  const isSecretPath = createKeyMatcher(keys)
+  const isSchemaSecret = keyPath => schemaPaths.some(secretPath =>
+    keyPath === secretPath || keyPath.startsWith(`${secretPath}.`))
+
+  const isSecret = keyPath => isSecretPath(keyPath) || isSchemaSecret(keyPath)
+
+  // Split a config into its secret and plain keys, keeping its shape
+  function split(value, keyPath = '') {
+    if (!isPlainObject(value) || Object.keys(value).length === 0 || (keyPath && isSecret(keyPath))) {
+      return keyPath && isSecret(keyPath) ? { secret: value } : { plain: value }
+    }
+
+    const secret = {}
+    const plain = {}
+    for (const [key, child] of Object.entries(value)) {
+      const parts = split(child, keyPath ? `${keyPath}.${key}` : key)
+      if (parts.secret !== undefined) secret[key] = parts.secret
+      if (parts.plain !== undefined) plain[key] = parts.plain
+    }
+
+    return {
+      secret: keyPath && Object.keys(secret).length === 0 ? undefined : secret,
+      plain: keyPath && Object.keys(plain).length === 0 ? undefined : plain
+    }
+  }
+
+  return {
+    enabled: keys.length > 0 || schemaPaths.length > 0,
+    isSecret,
+    split: configData => split(configData || {})
+  }
+}
+
+/**
+ * Decides which keys are sensitive: keys matching a pattern, keys that came
+ * from the vault or a secret (`secretPaths`), and keys classified as secret.
+ */
+export function createSensitivity({ keys = config.sensitiveKeys || [], secretPaths = new Set(), classification = createClassification() } = {}) {
+  const matchesPattern = createKeyMatcher([...DEFAULT_SENSITIVE_PATTERNS, ...keys])
+
+  function isSensitive(keyPath) {
+    return secretPaths.has(keyPath) || classification.isSecret(keyPath) || matchesPattern(keyPath)
+  }
+
+  // Replace sensitive leaf values, keeping the shape of the config
+  function mask(value, keyPath = '') {
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      return Object.fromEntries(Object.entries(value).map(([key, child]) =>
+        [key, mask(child, keyPath ? `${keyPath}.${key}` : key)]))
+    }
+    return keyPath && isSensitive(keyPath) ? maskValue(value) : value
+  }
+
+  return { isSensitive, mask }
+}
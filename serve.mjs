@@ -0,0 +1,139 @@
+import crypto from 'node:crypto'
+import { getPath } from './diff.mjs'
+import { renderConfig } from './formats.mjs'
+import { exitCodeFor, EXIT_CODES } from './errors.mjs'
+
+const FORMATS = ['json', 'env']
+
+// Environment names as they appear in config file names
+const ENV_NAME = /^[A-Za-z0-9_.-]+$/
+
+export function generateToken() {
+  return crypto.randomBytes(24).toString('base64url')
+}
+
+/**
+ * Cache `load(key)` results for `ttl` ms. Concurrent gets of the same key
+ * share one load, and failed loads are not kept.
+ */
+export function createCache(ttl, load) {
+  const entries = new Map()
+
+  return {
+    get(key) {
+      const entry = entries.get(key)
+      if (entry && entry.expires > Date.now()) {
+        return entry.value
+      }
+
+      const value = load(key)
+      entries.set(key, { value, expires: Date.now() + ttl })
+      value.catch(() => {
+        if (entries.get(key)?.value === value) entries.delete(key)
+      })
+      return value
+    },
+
+    clear() {
+      entries.clear()
+    }
+  }
+}
+
+function isAuthorized(header, token) {
+  const [scheme, credentials] = (header || '').split(' ')
+  if (scheme !== 'Bearer' || !credentials) {
+    return false
+  }
+  const expected = Buffer.from(token)
+  const actual = Buffer.from(credentials)
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+function send(res, status, body, type = 'application/json') {
+  const text = type === 'application/json' ? `${JSON.stringify(body, null, 2)}\n` : body
+  res.writeHead(status, { 'Content-Type': `${type}; charset=utf-8`, 'Cache-Control': 'no-store' })
+  res.end(text)
+}
+
+function statusFor(error) {
+  switch (exitCodeFor(error)) {
+    case EXIT_CODES.notFound: return 404
+    case EXIT_CODES.auth: return 502
+    default: return 500
+  }
+}
+
+/**
+ * Request handler for `mysterio serve`:
+ *
+ *   GET /v1/health              - no token needed
+ *   GET /v1/config/:env         - the environment's resolved configuration
+ *   GET /v1/config/:env/:key    - a single value by dot path
+ *
+ * `?format=env` answers with a dotenv file, or a single value as plain text.
+ * Every other request needs `Authorization: Bearer <token>`. `getConfig(env)`
+ * resolves to the configuration to serve. The handler only rejects on
+ * errors of its own, which the server should answer with a 500.
+ */
+export function createHandler({ token, getConfig, onError }) {
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD')
+      return send(res, 405, { error: `Method not allowed: ${req.method}` })
+    }
+
+    if (url.pathname === '/v1/health') {
+      return send(res, 200, { ok: true })
+    }
+
+    if (!isAuthorized(req.headers.authorization, token)) {
+      res.setHeader('WWW-Authenticate', 'Bearer')
+      return send(res, 401, { error: 'Missing or invalid bearer token' })
+    }
+
+    let parts
+    try {
+      parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent)
+    } catch {
+      return send(res, 400, { error: `Invalid path: ${url.pathname}` })
+    }
+
+    const [version, resource, env, key] = parts
+    if (version !== 'v1' || resource !== 'config' || !env || parts.length > 4) {
+      return send(res, 404, { error: `Not found: ${url.pathname}. Use /v1/config/:env or /v1/config/:env/:key` })
+    }
+    if (!ENV_NAME.test(env)) {
+      return send(res, 400, { error: `Invalid environment: ${env}` })
+    }
+
+    const format = url.searchParams.get('format') || 'json'
+    if (!FORMATS.includes(format)) {
+      return send(res, 400, { error: `Invalid format: ${format}. Use ${FORMATS.join(' or ')}` })
+    }
+
+    let result
+    try {
+      result = await getConfig(env)
+    } catch (error) {
+      onError?.(error, env)
+      return send(res, statusFor(error), { error: error.message })
+    }
+
+    if (key === undefined) {
+      return format === 'env'
+        ? send(res, 200, renderConfig('env', result), 'text/plain')
+        : send(res, 200, result)
+    }
+
+    const value = getPath(result, key)
+    if (value === undefined) {
+      return send(res, 404, { error: `Key not found: ${key}` })
+    }
+    return format === 'env'
+      ? send(res, 200, typeof value === 'string' ? value : JSON.stringify(value), 'text/plain')
+      : send(res, 200, value)
+  }
+}
@@ -0,0 +1,148 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import crypto from 'node:crypto'
+import { config } from './config.mjs'
+import { flattenConfig } from './diff.mjs'
+import { resolvePath } from './context.mjs'
+
+/**
+ * Where the project's hash key is kept: `hashKeyPath` in .mysteriorc, or
+ * next to the sync state
+ */
+export function hashKeyPath() {
+  return resolvePath(config.hashKeyPath || path.join(path.dirname(config.syncStatePath || '.mysterio-sync.json'), '.mysterio-hash.key'))
+}
+
+/**
+ * A function hashing values with an HMAC under the project's key, so hashes
+ * written to the audit log or sync state can't be reversed by hashing
+ * likely values. The key is created on first use, unless `create` is false
+ * (dry runs), when a missing key is replaced by a throwaway one.
+ */
+export async function loadHasher({ create = true } = {}) {
+  const file = hashKeyPath()
+  let key
+  try {
+    key = await fs.readFile(file)
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+    key = crypto.randomBytes(32)
+    if (!create) return hmac(key)
+    await fs.mkdir(path.dirname(file), { recursive: true })
+    try {
+      await fs.writeFile(file, key, { mode: 0o600, flag: 'wx' })
+    } catch (writeError) {
+      // Created by another process in the meantime
+      if (writeError.code !== 'EEXIST') throw writeError
+      key = await fs.readFile(file)
+    }
+  }
+
+  return hmac(key)
+}
+
+function hmac(key) {
+  return value => crypto.createHmac('sha256', key).update(JSON.stringify(value)).digest('hex')
+}
+
+/**
+ * Hash-per-key snapshot of a config object, keyed by dot path
+ */
+export function snapshotConfig(configData, hash) {
+  const snapshot = {}
+  for (const [keyPath, value] of Object.entries(flattenConfig(configData))) {
+    snapshot[keyPath] = hash(value)
+  }
+  return snapshot
+}
+
+/**
+ * Three-way merge of local and AWS config against the base snapshot taken
+ * at the last successful sync. A key changed (or deleted) on only one side
+ * takes that side; a key changed differently on both sides is a conflict.
+ *
+ * `hash` must be the function the base snapshot was taken with. Returns
+ * `{ merged, conflicts, fromLocal, fromAws }` where `merged` is a flat
+ * dot-path object holding every non-conflicting key.
+ */
+export function threeWayMerge(base, localConfig, awsConfig, hash) {
+  const local = flattenConfig(localConfig)
+  const aws = flattenConfig(awsConfig)
+  const keys = new Set([...Object.keys(local), ...Object.keys(aws), ...Object.keys(base)])
+
+  const merged = {}
+  const conflicts = []
+  const fromLocal = []
+  const fromAws = []
+
+  for (const keyPath of keys) {
+    const localHash = keyPath in local ? hash(local[keyPath]) : undefined
+    const awsHash = keyPath in aws ? hash(aws[keyPath]) : undefined
+    const baseHash = base[keyPath]
+
+    if (localHash === awsHash) {
+      if (localHash !== undefined) merged[keyPath] = local[keyPath]
+    } else if (localHash === baseHash) {
+      // Only AWS changed (or deleted) this key
+      if (awsHash !== undefined) merged[keyPath] = aws[keyPath]
+      fromAws.push(keyPath)
+    } else if (awsHash === baseHash) {
+      // Only local changed (or deleted) this key
+      if (localHash !== undefined) merged[keyPath] = local[keyPath]
+      fromLocal.push(keyPath)
+    } else {
+      conflicts.push({ path: keyPath, local: local[keyPath], aws: aws[keyPath] })
+    }
+  }
+
+  return { merged, conflicts, fromLocal, fromAws }
+}
+
+async function readStateFile(statePath) {
+  try {
+    const content = await fs.readFile(statePath, 'utf-8')
+    return JSON.parse(content)
+  } catch (error) {
+    if (error.code === 'ENOENT') return {}
+    throw error
+  }
+}
+
+/**
+ * Base snapshot recorded for a secret at its last successful sync, or null
+ */
+export async function readSyncState(statePath, secretName) {
+  const state = await readStateFile(statePath)
+  return state[secretName] || null
+}
+
+// Pending writes per state file. One file holds the snapshots of every
+// secret, so concurrent syncs (`aws sync --all-envs`) must take turns or
+// they overwrite each other's snapshots.
+const pendingWrites = new Map()
+
+/**
+ * Record the snapshot of a secret after a successful sync. Writes to the
+ * same state file run one after the other.
+ */
+export function writeSyncState(statePath, secretName, configData, hash) {
+  const file = resolvePath(statePath)
+  const previous = pendingWrites.get(file) || Promise.resolve()
+
+  const write = previous.catch(() => {}).then(async () => {
+    const state = await readStateFile(file)
+    state[secretName] = {
+      syncedAt: new Date().toISOString(),
+      keys: snapshotConfig(configData, hash)
+    }
+
+    await fs.mkdir(path.dirname(file), { recursive: true })
+    await fs.writeFile(file, JSON.stringify(state, null, 2))
+  })
+
+  pendingWrites.set(file, write)
+  write.finally(() => {
+    if (pendingWrites.get(file) === write) pendingWrites.delete(file)
+  }).catch(() => {})
+  return write
+}
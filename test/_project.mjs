@@ -0,0 +1,37 @@
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { createMysterio, createMemoryBackend } from '../index.mjs'
+
+/**
+ * A project in a temporary directory, removed when the test ends, with a
+ * createMysterio() instance on a memory backend. `files` maps paths in the
+ * project to their contents (objects are written as JSON), `secrets` seeds
+ * the backend and `config` is merged over `{ packageName: 'app' }`.
+ */
+export async function createProject(t, { files = {}, secrets = {}, config = {}, backend, ...options } = {}) {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterio-test-'))
+  t.teardown(() => fs.rm(cwd, { recursive: true, force: true }))
+
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(cwd, file)), { recursive: true })
+    await fs.writeFile(path.join(cwd, file), typeof content === 'string' ? content : JSON.stringify(content, null, 2))
+  }
+
+  const store = backend || createMemoryBackend(secrets)
+  const mysterio = createMysterio({
+    cwd,
+    config: { packageName: 'app', ...config },
+    backend: store,
+    yes: true,
+    interactive: false,
+    ...options
+  })
+
+  return {
+    cwd,
+    backend: store,
+    mysterio,
+    readJson: async file => JSON.parse(await fs.readFile(path.join(cwd, file), 'utf-8'))
+  }
+}
@@ -0,0 +1,63 @@
+import test from 'ava'
+import { createProject } from './_project.mjs'
+
+test('commands resolve to their results instead of printing', async t => {
+  const { mysterio } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80, db: { host: 'localhost' } } }
+  })
+
+  t.deepEqual(await mysterio.set('db.port', '5432', { env: 'dev' }), { env: 'dev', target: 'local', keys: ['db.port'] })
+  t.deepEqual((await mysterio.get({ env: 'dev', source: 'local' })).config, { port: 80, db: { host: 'localhost', port: '5432' } })
+  t.is((await mysterio.get({ env: 'dev', source: 'local', key: 'db.host' })).value, 'localhost')
+})
+
+test('progress messages go to the injected logger only', async t => {
+  const lines = []
+  const { mysterio } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80 } },
+    logger: { log: line => lines.push(line), info() {}, warn() {}, error: line => lines.push(line) }
+  })
+
+  await mysterio.set('port', '81', { env: 'dev' })
+  t.true(lines.some(line => line.includes('Configuration updated for environment: dev')))
+})
+
+test('writes() lists the files and secrets written through the instance', async t => {
+  const { mysterio, cwd } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80 } }
+  })
+
+  await mysterio.set('port', '81', { env: 'dev' })
+  await mysterio.set('dbPassword', 's3cret', { env: 'dev', target: 'aws' })
+
+  t.deepEqual(mysterio.writes().map(({ command, target, resource, keys }) => ({ command, target, resource, keys })), [
+    { command: 'set', target: 'local', resource: `${cwd}/config/dev.json`, keys: ['port'] },
+    { command: 'set', target: 'aws', resource: 'app/dev', keys: ['dbPassword'] }
+  ])
+})
+
+test('injected prompts answer confirmations', async t => {
+  const { mysterio, backend } = await createProject(t, {
+    files: { 'config/dev.json': { port: 81 } },
+    secrets: { 'app/dev': { port: 80 } },
+    yes: false,
+    interactive: true,
+    prompts: { confirm: async () => false }
+  })
+
+  t.deepEqual(await mysterio.aws('push', { env: 'dev' }), { outcome: 'skipped', detail: 'cancelled' })
+  t.deepEqual(await backend.read('app/dev'), { port: 80 })
+})
+
+test('instances do not share settings', async t => {
+  const first = await createProject(t, { config: { packageName: 'one' }, files: { 'config/dev.json': {} } })
+  const second = await createProject(t, { config: { packageName: 'two' }, files: { 'config/dev.json': {} } })
+
+  await Promise.all([
+    first.mysterio.set('a', '1', { env: 'dev', target: 'aws' }),
+    second.mysterio.set('b', '2', { env: 'dev', target: 'aws' })
+  ])
+
+  t.deepEqual(await first.backend.read('one/dev'), { a: '1' })
+  t.deepEqual(await second.backend.read('two/dev'), { b: '2' })
+})
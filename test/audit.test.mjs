@@ -0,0 +1,76 @@
+import test from 'ava'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import crypto from 'node:crypto'
+import { auditChanges } from '../audit.mjs'
+import { createProject } from './_project.mjs'
+
+const readRecords = async cwd => (await fs.readFile(path.join(cwd, '.mysterio-audit.jsonl'), 'utf-8'))
+  .trim()
+  .split('\n')
+  .map(line => JSON.parse(line))
+
+test('auditChanges lists changed keys with the hashes of their values', t => {
+  const hash = value => `#${value}`
+
+  t.deepEqual(auditChanges({ a: 1, b: 2 }, { b: 3, c: 4 }, hash), [
+    { key: 'a', change: 'removed', oldHash: '#1' },
+    { key: 'b', change: 'changed', oldHash: '#2', newHash: '#3' },
+    { key: 'c', change: 'added', newHash: '#4' }
+  ])
+})
+
+test('writes append a record without values', async t => {
+  const { mysterio, cwd } = await createProject(t, {
+    files: { 'config/dev.json': { dbPassword: 'old' } }
+  })
+
+  await mysterio.set('dbPassword', 's3cret', { env: 'dev' })
+
+  const [record] = await readRecords(cwd)
+  t.like(record, { command: 'set', env: 'dev', target: 'local', resource: path.join(cwd, 'config/dev.json') })
+  t.is(record.changes.length, 1)
+  t.like(record.changes[0], { key: 'dbPassword', change: 'changed' })
+  t.false(JSON.stringify(record).includes('s3cret'))
+})
+
+test('hashes are HMACs under the project key, created on the first write', async t => {
+  const { mysterio, cwd } = await createProject(t, {
+    files: { 'config/dev.json': {} }
+  })
+
+  await mysterio.set('dbPassword', 's3cret', { env: 'dev' })
+
+  const key = await fs.readFile(path.join(cwd, '.mysterio-hash.key'))
+  const [{ changes: [change] }] = await readRecords(cwd)
+  const value = JSON.stringify('s3cret')
+  t.is(change.newHash, crypto.createHmac('sha256', key).update(value).digest('hex'))
+  t.not(change.newHash, crypto.createHash('sha256').update(value).digest('hex'))
+})
+
+test('auditLogPath false writes no log and no key', async t => {
+  const { mysterio, cwd } = await createProject(t, {
+    config: { auditLogPath: false },
+    files: { 'config/dev.json': {} }
+  })
+
+  await mysterio.set('port', '80', { env: 'dev' })
+
+  await t.throwsAsync(fs.access(path.join(cwd, '.mysterio-audit.jsonl')), { code: 'ENOENT' })
+  await t.throwsAsync(fs.access(path.join(cwd, '.mysterio-hash.key')), { code: 'ENOENT' })
+  t.deepEqual(await mysterio.audit(), [])
+})
+
+test('audit reads the records matching env and key', async t => {
+  const { mysterio } = await createProject(t, {
+    files: { 'config/dev.json': {}, 'config/prod.json': {} }
+  })
+
+  await mysterio.set('db.host', 'a', { env: 'dev' })
+  await mysterio.set('port', '80', { env: 'dev' })
+  await mysterio.set('db.host', 'b', { env: 'prod' })
+
+  t.is((await mysterio.audit()).length, 3)
+  t.deepEqual((await mysterio.audit({ env: 'dev', key: 'db' })).map(record => record.changes.map(change => change.key)), [['db.host']])
+  await t.throwsAsync(mysterio.audit({ since: 'yesterday' }), { message: 'Invalid date for --since: yesterday' })
+})
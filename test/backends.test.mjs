@@ -0,0 +1,152 @@
+import test from 'ava'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { ResourceNotFoundException } from '@aws-sdk/client-secrets-manager'
+import {
+  createMemoryBackend,
+  createFileBackend,
+  createSecretsManagerBackend,
+  SecretNotFoundError
+} from '../backends.mjs'
+import { createProject } from './_project.mjs'
+
+async function fileBackend(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterio-backend-'))
+  t.teardown(() => fs.rm(dir, { recursive: true, force: true }))
+  return createFileBackend({ dir })
+}
+
+const BACKENDS = {
+  memory: async () => createMemoryBackend(),
+  file: fileBackend
+}
+
+for (const [name, create] of Object.entries(BACKENDS)) {
+  test(`${name} backend reads null for a missing secret`, async t => {
+    const backend = await create(t)
+
+    t.is(await backend.read('app/dev'), null)
+    await t.throwsAsync(backend.versions('app/dev'), { instanceOf: SecretNotFoundError })
+    await t.throwsAsync(backend.delete('app/dev'), { instanceOf: SecretNotFoundError })
+  })
+
+  test(`${name} backend keeps every version and restores an old one`, async t => {
+    const backend = await create(t)
+
+    const first = await backend.write('app/dev', { port: 80 })
+    const second = await backend.write('app/dev', { port: 81 })
+    t.true(first.created)
+    t.false(second.created)
+    t.deepEqual(await backend.read('app/dev'), { port: 81 })
+    t.deepEqual(await backend.read('app/dev', { versionId: first.versionId }), { port: 80 })
+
+    const versions = await backend.versions('app/dev')
+    t.deepEqual(versions.map(version => version.versionId), [second.versionId, first.versionId])
+    t.true(versions[0].current)
+
+    await backend.restore('app/dev', first.versionId)
+    t.deepEqual(await backend.read('app/dev'), { port: 80 })
+  })
+
+  test(`${name} backend lists secrets by prefix and deletes them`, async t => {
+    const backend = await create(t)
+    await backend.write('app/dev', {})
+    await backend.write('app/prod', {})
+    await backend.write('other/dev', {})
+
+    t.deepEqual((await backend.list('app/')).map(secret => secret.name).sort(), ['app/dev', 'app/prod'])
+
+    await backend.delete('app/dev')
+    t.is(await backend.read('app/dev'), null)
+  })
+
+  test(`${name} backend returns copies, not its own data`, async t => {
+    const backend = await create(t)
+    const data = { db: { host: 'a' } }
+    await backend.write('app/dev', data)
+    data.db.host = 'b'
+
+    const read = await backend.read('app/dev')
+    read.db.host = 'c'
+    t.deepEqual(await backend.read('app/dev'), { db: { host: 'a' } })
+  })
+}
+
+test('memory backend starts with the seeded secrets', async t => {
+  const backend = createMemoryBackend({ 'app/dev': { port: 80 } })
+
+  t.deepEqual(await backend.read('app/dev'), { port: 80 })
+  t.true(await backend.checkWrite('app/dev'))
+  t.false(await backend.checkWrite('app/prod'))
+})
+
+// A SecretsManagerClient answering from a map of command name → handler
+function fakeClient(handlers) {
+  const sent = []
+  return {
+    sent,
+    send: async command => {
+      const name = command.constructor.name
+      sent.push({ name, input: command.input })
+      if (!handlers[name]) throw new Error(`Unexpected ${name}`)
+      return handlers[name](command.input)
+    }
+  }
+}
+
+const notFound = () => {
+  throw new ResourceNotFoundException({ message: 'not found', $metadata: {} })
+}
+
+test('secrets manager backend creates the secret when updating finds none', async t => {
+  const client = fakeClient({
+    UpdateSecretCommand: notFound,
+    CreateSecretCommand: () => ({ ARN: 'arn:app/dev', VersionId: 'v1' })
+  })
+  const backend = createSecretsManagerBackend({ region: 'us-east-1', client })
+
+  t.deepEqual(await backend.write('app/dev', { port: 80 }, { description: 'Secrets' }), { created: true, arn: 'arn:app/dev', versionId: 'v1' })
+  t.deepEqual(client.sent.map(({ name }) => name), ['UpdateSecretCommand', 'CreateSecretCommand'])
+  t.deepEqual(client.sent[1].input, { Name: 'app/dev', SecretString: '{"port":80}', Description: 'Secrets' })
+})
+
+test('secrets manager backend maps a missing secret to null or SecretNotFoundError', async t => {
+  const backend = createSecretsManagerBackend({
+    region: 'us-east-1',
+    client: fakeClient({ GetSecretValueCommand: notFound, DeleteSecretCommand: notFound })
+  })
+
+  t.is(await backend.read('app/dev'), null)
+  await t.throwsAsync(backend.delete('app/dev'), { instanceOf: SecretNotFoundError })
+})
+
+test('secrets manager backend lists versions newest first', async t => {
+  const backend = createSecretsManagerBackend({
+    region: 'us-east-1',
+    client: fakeClient({
+      ListSecretVersionIdsCommand: () => ({
+        Versions: [
+          { VersionId: 'v1', VersionStages: ['AWSPREVIOUS'], CreatedDate: new Date('2024-01-01') },
+          { VersionId: 'v2', VersionStages: ['AWSCURRENT'], CreatedDate: new Date('2024-02-01') }
+        ]
+      })
+    })
+  })
+
+  const versions = await backend.versions('app/dev')
+  t.deepEqual(versions.map(({ versionId, current }) => ({ versionId, current })), [
+    { versionId: 'v2', current: true },
+    { versionId: 'v1', current: false }
+  ])
+})
+
+test('commands use the injected backend', async t => {
+  const { mysterio, backend } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80 } }
+  })
+
+  await mysterio.aws('push', { env: 'dev' })
+
+  t.deepEqual(await backend.read('app/dev'), { port: 80 })
+})
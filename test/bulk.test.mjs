@@ -0,0 +1,66 @@
+import test from 'ava'
+import { mapConcurrent } from '../bulk.mjs'
+import { createProject } from './_project.mjs'
+
+const envFiles = envs => Object.fromEntries(envs.map((env, index) => [`config/${env}.json`, { port: 80 + index }]))
+
+test('mapConcurrent keeps the order of its input and the limit', async t => {
+  let running = 0
+  let peak = 0
+  const results = await mapConcurrent([30, 10, 20, 0], 2, async delay => {
+    peak = Math.max(peak, ++running)
+    await new Promise(resolve => setTimeout(resolve, delay))
+    running--
+    return delay * 2
+  })
+
+  t.deepEqual(results, [60, 20, 40, 0])
+  t.is(peak, 2)
+})
+
+test('aws push --all-envs reports an outcome for every environment', async t => {
+  const { mysterio, backend } = await createProject(t, {
+    files: envFiles(['dev', 'staging', 'prod']),
+    secrets: { 'app/prod': { port: 82 } }
+  })
+
+  const { results, failed } = await mysterio.aws('push', { allEnvs: true })
+
+  t.false(failed)
+  t.deepEqual(results, [
+    { env: 'dev', outcome: 'created', detail: undefined },
+    { env: 'prod', outcome: 'unchanged', detail: undefined },
+    { env: 'staging', outcome: 'created', detail: undefined }
+  ])
+  t.deepEqual(await backend.read('app/staging'), { port: 81 })
+})
+
+test('a failing environment does not stop the others', async t => {
+  const { mysterio } = await createProject(t, {
+    files: envFiles(['dev', 'prod'])
+  })
+
+  const { results, failed } = await mysterio.aws('pull', { envs: 'dev,prod' })
+
+  t.true(failed)
+  t.deepEqual(results.map(result => result.outcome), ['failed', 'failed'])
+  t.regex(results[0].detail, /Secret 'app\/dev' not found/)
+})
+
+test('aws sync --all-envs records a snapshot for every environment', async t => {
+  const envs = ['dev', 'qa', 'staging', 'prod', 'demo', 'perf']
+  const { mysterio, readJson } = await createProject(t, {
+    files: envFiles(envs)
+  })
+
+  const { failed } = await mysterio.aws('sync', { allEnvs: true, concurrency: envs.length })
+
+  t.false(failed)
+  t.deepEqual(Object.keys(await readJson('.mysterio-sync.json')).sort(), envs.map(env => `app/${env}`).sort())
+})
+
+test('bulk actions are limited to the ones that make sense per environment', async t => {
+  const { mysterio } = await createProject(t)
+
+  await t.throwsAsync(mysterio.aws('history', { allEnvs: true }), { message: 'Unsupported bulk action: history' })
+})
@@ -0,0 +1,86 @@
+import test from 'ava'
+import { createClassification } from '../sensitivity.mjs'
+import { createProject } from './_project.mjs'
+
+const classified = { secretKeys: ['dbPassword', 'stripe'] }
+
+test('createClassification splits a config into secret and plain keys', t => {
+  const classification = createClassification({
+    keys: ['stripe'],
+    schema: { properties: { db: { properties: { password: { type: 'string', secret: true } } } } }
+  })
+
+  t.true(classification.enabled)
+  t.deepEqual(classification.split({ port: 80, stripe: { key: 'k' }, db: { host: 'h', password: 'p' } }), {
+    secret: { stripe: { key: 'k' }, db: { password: 'p' } },
+    plain: { port: 80, db: { host: 'h' } }
+  })
+  t.false(createClassification({ keys: [] }).enabled)
+})
+
+test('set routes secret keys to AWS and plain keys to the local file', async t => {
+  const { mysterio, backend, readJson } = await createProject(t, {
+    config: classified,
+    files: { 'config/dev.json': {} }
+  })
+
+  await mysterio.set('dbPassword', 's3cret', { env: 'dev' })
+  await mysterio.set('port', '80', { env: 'dev' })
+
+  t.deepEqual(await backend.read('app/dev'), { dbPassword: 's3cret' })
+  t.deepEqual(await readJson('config/dev.json'), { port: '80' })
+})
+
+test('aws push uploads only the secret keys', async t => {
+  const { mysterio, backend } = await createProject(t, {
+    config: classified,
+    files: { 'config/dev.json': { port: 80, dbPassword: 's3cret' } },
+    secrets: { 'app/dev': { host: 'old' } }
+  })
+
+  await mysterio.aws('push', { env: 'dev', override: true })
+
+  t.deepEqual(await backend.read('app/dev'), { dbPassword: 's3cret' })
+})
+
+test('aws pull keeps secret keys out of the local file', async t => {
+  const { mysterio, readJson } = await createProject(t, {
+    config: classified,
+    files: { 'config/dev.json': { port: 80 } },
+    secrets: { 'app/dev': { dbPassword: 's3cret', host: 'db' } }
+  })
+
+  await mysterio.aws('pull', { env: 'dev', override: true })
+
+  t.deepEqual(await readJson('config/dev.json'), { port: 80, host: 'db' })
+})
+
+test('aws sync with declared secret keys keeps them out of the local file', async t => {
+  const { mysterio, backend, readJson } = await createProject(t, {
+    config: classified,
+    files: { 'config/dev.json': { port: 80 } },
+    secrets: { 'app/dev': { dbPassword: 's3cret' } }
+  })
+
+  await mysterio.aws('sync', { env: 'dev' })
+
+  t.deepEqual(await readJson('config/dev.json'), { port: 80 })
+  t.deepEqual(await backend.read('app/dev'), { dbPassword: 's3cret' })
+})
+
+test('aws sync moves a secret key found in the local file to AWS, and keeps it there', async t => {
+  const { mysterio, backend, readJson } = await createProject(t, {
+    config: classified,
+    files: { 'config/dev.json': { port: 80, stripe: { key: 'sk' } } },
+    secrets: { 'app/dev': { dbPassword: 's3cret' } }
+  })
+
+  await mysterio.aws('sync', { env: 'dev' })
+
+  t.deepEqual(await readJson('config/dev.json'), { port: 80 })
+  t.deepEqual(await backend.read('app/dev'), { dbPassword: 's3cret', stripe: { key: 'sk' } })
+
+  await mysterio.aws('sync', { env: 'dev' })
+
+  t.deepEqual(await backend.read('app/dev'), { dbPassword: 's3cret', stripe: { key: 'sk' } })
+})
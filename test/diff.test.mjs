@@ -0,0 +1,59 @@
+import test from 'ava'
+import { diffConfigs, hasChanges, formatDiff } from '../diff.mjs'
+import { createProject } from './_project.mjs'
+
+test('diffConfigs compares nested keys by dot path', t => {
+  const diff = diffConfigs(
+    { port: 80, db: { host: 'a', user: 'app' }, tags: ['x'] },
+    { port: 80, db: { host: 'b' }, tags: ['x', 'y'], debug: false }
+  )
+
+  t.deepEqual(diff, {
+    added: [{ path: 'debug', value: false }],
+    removed: [{ path: 'db.user', value: 'app' }],
+    changed: [
+      { path: 'db.host', from: 'a', to: 'b' },
+      { path: 'tags', from: ['x'], to: ['x', 'y'] }
+    ]
+  })
+  t.true(hasChanges(diff))
+  t.false(hasChanges(diffConfigs({ a: { b: 1 } }, { a: { b: 1 } })))
+})
+
+test('formatDiff renders one line per change', t => {
+  const diff = diffConfigs({ port: 80, old: 1 }, { port: 81, host: 'x' })
+
+  t.is(formatDiff(diff, { reveal: true }), '  + host: x\n  - old: 1\n  ~ port: 80 → 81')
+})
+
+test('diff compares two local environments', async t => {
+  const { mysterio } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80, host: 'a' }, 'config/prod.json': { port: 81, host: 'a' } }
+  })
+
+  const result = await mysterio.diff('local:dev', 'local:prod', { reveal: true })
+
+  t.is(result.left, 'local:dev')
+  t.is(result.right, 'local:prod')
+  t.true(result.drift)
+  t.deepEqual(result.diff.changed, [{ path: 'port', from: 80, to: 81 }])
+})
+
+test('diff compares the local file with the secret by default', async t => {
+  const { mysterio } = await createProject(t, {
+    files: { 'config/prod.json': { port: 80 } },
+    secrets: { 'app/prod': { port: 80 } }
+  })
+
+  const result = await mysterio.diff(undefined, undefined, { env: 'prod' })
+
+  t.is(result.left, 'local:prod')
+  t.is(result.right, 'aws:prod')
+  t.false(result.drift)
+})
+
+test('diff fails for a missing environment', async t => {
+  const { mysterio } = await createProject(t)
+
+  await t.throwsAsync(mysterio.diff('local:dev', 'local:prod', {}), { code: 'ENOENT' })
+})
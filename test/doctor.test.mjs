@@ -0,0 +1,82 @@
+import test from 'ava'
+import { createMemoryBackend } from '../backends.mjs'
+import { createProject } from './_project.mjs'
+
+// The checks by name, without their messages
+const statuses = ({ checks }) => Object.fromEntries(checks.map(({ name, status }) => [name, status]))
+
+const healthy = {
+  '.mysteriorc': { packageName: 'app' },
+  'config/default.json': { port: 80 },
+  'config/dev.json': { host: 'dev' },
+  'config/prod.json': { host: 'prod' }
+}
+
+test('doctor passes a healthy project', async t => {
+  const { mysterio } = await createProject(t, {
+    files: healthy,
+    secrets: { 'app/dev': {}, 'app/prod': {} }
+  })
+
+  const result = await mysterio.doctor()
+
+  t.true(result.ok)
+  t.deepEqual(statuses(result), {
+    '.mysteriorc': 'pass',
+    packageName: 'pass',
+    'config dir': 'pass',
+    'default.json': 'pass',
+    AWS: 'pass',
+    'secret app/dev': 'pass',
+    'secret app/prod': 'pass'
+  })
+})
+
+test('doctor warns about a missing .mysteriorc, default.json and secret', async t => {
+  const { mysterio } = await createProject(t, {
+    files: { 'config/dev.json': {} }
+  })
+
+  const result = await mysterio.doctor()
+
+  t.true(result.ok)
+  t.like(statuses(result), { '.mysteriorc': 'warn', 'default.json': 'warn', 'secret app/dev': 'warn' })
+  t.is(result.checks.find(check => check.name === 'secret app/dev').hint, 'Create it with `mysterio aws push --env dev`')
+})
+
+test('doctor fails on unparsable files, wrong settings and broken extends', async t => {
+  const { mysterio } = await createProject(t, {
+    files: {
+      '.mysteriorc': { packageName: 'app', regions: 'us-east-1' },
+      'config/default.json': { environment: 'prod' },
+      'config/dev.json': '{ "port": ',
+      'config/qa.json': { extends: 'staging' }
+    }
+  })
+
+  const result = await mysterio.doctor()
+  const messages = Object.fromEntries(result.checks.map(({ name, message }) => [name, message]))
+
+  t.false(result.ok)
+  t.like(statuses(result), { '.mysteriorc': 'fail', 'config dir': 'fail', 'default.json': 'warn' })
+  t.regex(messages['.mysteriorc'], /wrong type for regions/)
+  t.regex(messages['config dir'], /dev\.json \(.*\); qa\.json \("qa" extends missing environment "staging"\)/)
+})
+
+test('doctor reports a secret it may not read', async t => {
+  const backend = createMemoryBackend({ 'app/dev': {} })
+  const denied = {
+    ...backend,
+    read: async () => {
+      throw Object.assign(new Error('not authorized'), { name: 'AccessDeniedException' })
+    }
+  }
+  const { mysterio } = await createProject(t, { files: healthy, backend: denied })
+
+  const result = await mysterio.doctor()
+  const secret = result.checks.find(check => check.name === 'secret app/dev')
+
+  t.false(result.ok)
+  t.is(secret.status, 'fail')
+  t.is(secret.message, 'reading is denied: not authorized')
+})
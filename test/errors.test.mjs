@@ -0,0 +1,69 @@
+import test from 'ava'
+import { execFile } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+import { promisify } from 'node:util'
+import { exitCodeFor, EXIT_CODES, NotFoundError, ConflictError } from '../errors.mjs'
+import { SecretNotFoundError } from '../backends.mjs'
+import { ValidationError } from '../schema.mjs'
+import { InputRequiredError } from '../prompts.mjs'
+import { createProject } from './_project.mjs'
+
+const cli = fileURLToPath(new URL('../cli.mjs', import.meta.url))
+
+// Runs the CLI, resolving to its exit code and output whether or not it fails
+async function runCli(cwd, args) {
+  try {
+    const { stdout } = await promisify(execFile)(process.execPath, [cli, ...args], { cwd })
+    return { code: 0, stdout }
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout }
+  }
+}
+
+test('exitCodeFor maps each kind of failure to its exit code', t => {
+  t.is(exitCodeFor(new NotFoundError('x')), EXIT_CODES.notFound)
+  t.is(exitCodeFor(new SecretNotFoundError('app/dev', 'memory store')), EXIT_CODES.notFound)
+  t.is(exitCodeFor(Object.assign(new Error('x'), { code: 'ENOENT' })), EXIT_CODES.notFound)
+  t.is(exitCodeFor(new ConflictError('x')), EXIT_CODES.conflict)
+  t.is(exitCodeFor(Object.assign(new Error('x'), { name: 'AccessDeniedException' })), EXIT_CODES.auth)
+  t.is(exitCodeFor(Object.assign(new Error('x'), { $metadata: { httpStatusCode: 403 } })), EXIT_CODES.auth)
+  t.is(exitCodeFor(new ValidationError('x', [])), EXIT_CODES.validation)
+  t.is(exitCodeFor(new InputRequiredError('Override?', '--override')), EXIT_CODES.inputRequired)
+  t.is(exitCodeFor(new Error('x')), EXIT_CODES.error)
+})
+
+test('commands throw typed errors', async t => {
+  const { mysterio } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80 } }
+  })
+
+  await t.throwsAsync(mysterio.get({ env: 'dev', source: 'local', key: 'host' }), { instanceOf: NotFoundError })
+  await t.throwsAsync(mysterio.env('create', 'dev'), { instanceOf: ConflictError })
+  await t.throwsAsync(mysterio.aws('pull', { env: 'dev' }), { instanceOf: SecretNotFoundError })
+})
+
+test('a prompt without an answer fails with the flag that answers it', async t => {
+  const { mysterio } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80 } },
+    yes: false
+  })
+
+  const error = await t.throwsAsync(mysterio.env('delete', 'dev'), { instanceOf: InputRequiredError })
+  t.is(error.hint, '--yes')
+  t.regex(error.message, /^Input required: .*\. Pass --yes$/)
+})
+
+test('the CLI exits with the code of the error and reports it with --json', async t => {
+  const { cwd } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80 } }
+  })
+
+  const { code, stdout } = await runCli(cwd, ['--json', 'get', 'host', '--env', 'dev', '--source', 'local'])
+
+  t.is(code, EXIT_CODES.notFound)
+  t.like(JSON.parse(stdout), {
+    ok: false,
+    command: 'get',
+    error: { name: 'NotFoundError', message: 'Key not found: host', exitCode: EXIT_CODES.notFound }
+  })
+})
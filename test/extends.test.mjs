@@ -0,0 +1,73 @@
+import test from 'ava'
+import { createProject } from './_project.mjs'
+
+// production ← staging ← qa, with a shared default.json
+const layered = {
+  'config/default.json': { port: 80, log: { level: 'info', pretty: false } },
+  'config/production.json': { host: 'prod', log: { level: 'warn' } },
+  'config/staging.json': { extends: 'production', host: 'staging' },
+  'config/qa.json': { extends: 'staging', log: { pretty: true } }
+}
+
+test('an environment is resolved over default.json and its bases, nested keys merged', async t => {
+  const { mysterio } = await createProject(t, { files: layered })
+
+  const { config } = await mysterio.get({ env: 'qa', source: 'local' })
+
+  t.deepEqual(config, { port: 80, host: 'staging', log: { level: 'warn', pretty: true } })
+})
+
+test('with a list of bases the later ones win', async t => {
+  const { mysterio } = await createProject(t, {
+    files: {
+      'config/eu.json': { region: 'eu', currency: 'EUR' },
+      'config/beta.json': { region: 'beta' },
+      'config/eu-beta.json': { extends: ['eu', 'beta'] }
+    }
+  })
+
+  t.deepEqual((await mysterio.get({ env: 'eu-beta', source: 'local' })).config, { region: 'beta', currency: 'EUR' })
+})
+
+test('a cycle or a missing base fails with the chain', async t => {
+  const { mysterio } = await createProject(t, {
+    files: {
+      'config/qa.json': { extends: 'staging' },
+      'config/staging.json': { extends: 'qa' },
+      'config/dev.json': { extends: 'nope' },
+      'config/bad.json': { extends: 42 }
+    }
+  })
+
+  await t.throwsAsync(mysterio.get({ env: 'qa', source: 'local' }), { message: 'Circular extends: qa → staging → qa' })
+  await t.throwsAsync(mysterio.get({ env: 'dev', source: 'local' }), { message: '"dev" extends missing environment "nope"' })
+  await t.throwsAsync(mysterio.get({ env: 'bad', source: 'local' }), { message: /Invalid "extends" in bad\.json/ })
+})
+
+test('aws push uploads the environment merged over its bases', async t => {
+  const { mysterio, backend } = await createProject(t, { files: layered })
+
+  await mysterio.aws('push', { env: 'staging' })
+
+  t.deepEqual(await backend.read('app/staging'), { host: 'staging', log: { level: 'warn' } })
+})
+
+test('aws pull writes back only what differs from the bases and keeps extends', async t => {
+  const { mysterio, readJson } = await createProject(t, {
+    files: layered,
+    secrets: { 'app/staging': { host: 'staging-2', log: { level: 'warn' } } }
+  })
+
+  await mysterio.aws('pull', { env: 'staging', override: true })
+
+  t.deepEqual(await readJson('config/staging.json'), { extends: 'production', host: 'staging-2' })
+})
+
+test('env create --extends starts an empty environment on top of its base', async t => {
+  const { mysterio, readJson } = await createProject(t, { files: layered })
+
+  await mysterio.env('create', 'preview', { extends: 'staging' })
+
+  t.deepEqual(await readJson('config/preview.json'), { environment: 'preview', extends: 'staging' })
+  t.is((await mysterio.get({ env: 'preview', source: 'local', key: 'host' })).value, 'staging')
+})
@@ -0,0 +1,57 @@
+import test from 'ava'
+import fs from 'node:fs/promises'
+import { execFileSync } from 'node:child_process'
+import YAML from 'yaml'
+import { renderConfig } from '../formats.mjs'
+import { createProject } from './_project.mjs'
+
+const config = { port: 8080, dbPassword: "it's $HOME `x`", db: { host: 'h' }, debug: true }
+
+test('export output is read back by a shell unchanged', t => {
+  const script = `${renderConfig('export', config)}\nprintf '%s|%s|%s' "$PORT" "$DB_PASSWORD" "$DB"`
+
+  t.is(execFileSync('sh', ['-c', script], { encoding: 'utf-8' }), `8080|it's $HOME \`x\`|{"host":"h"}`)
+})
+
+test('yaml output parses back to the same config', t => {
+  t.deepEqual(YAML.parse(renderConfig('yaml', config)), config)
+})
+
+test('k8s-secret output holds base64 values under env var names', t => {
+  const manifest = YAML.parse(renderConfig('k8s-secret', config, { name: 'app-dev' }))
+
+  t.is(manifest.kind, 'Secret')
+  t.is(manifest.metadata.name, 'app-dev')
+  t.is(Buffer.from(manifest.data.DB_PASSWORD, 'base64').toString('utf-8'), config.dbPassword)
+  t.is(Buffer.from(manifest.data.PORT, 'base64').toString('utf-8'), '8080')
+})
+
+test('k8s-configmap output holds string values', t => {
+  const manifest = YAML.parse(renderConfig('k8s-configmap', config, { name: 'app-dev' }))
+
+  t.is(manifest.kind, 'ConfigMap')
+  t.deepEqual(manifest.data, { PORT: '8080', DB_PASSWORD: config.dbPassword, DB: '{"host":"h"}', DEBUG: 'true' })
+})
+
+test('docker output is literal and refuses newlines', t => {
+  t.is(renderConfig('docker', { dbPassword: 'a "b"' }), 'DB_PASSWORD=a "b"')
+  t.throws(() => renderConfig('docker', { motd: 'a\nb' }), { message: /newline/ })
+})
+
+test('tfvars output uses snake_case names', t => {
+  t.deepEqual(JSON.parse(renderConfig('tfvars', config)), { port: 8080, db_password: config.dbPassword, db: { host: 'h' }, debug: true })
+})
+
+test('an unknown format is an error', t => {
+  t.throws(() => renderConfig('toml', config), { message: /Invalid format: toml/ })
+})
+
+test('get --format names Kubernetes manifests after the package and environment', async t => {
+  const { mysterio, cwd } = await createProject(t, { files: { 'config/dev.json': { port: 80 } } })
+
+  await mysterio.get({ env: 'dev', source: 'local', format: 'k8s-configmap', save: 'cm.yaml' })
+  const manifest = YAML.parse(await fs.readFile(`${cwd}/cm.yaml`, 'utf-8'))
+
+  t.is(manifest.metadata.name, 'app-dev')
+  t.deepEqual(manifest.data, { PORT: '80' })
+})
@@ -0,0 +1,88 @@
+import test from 'ava'
+import { createProject } from './_project.mjs'
+
+// A project whose secret has three versions: port 80, 81, then 82
+async function versionedProject(t, options = {}) {
+  const project = await createProject(t, options)
+  for (const port of [80, 81, 82]) {
+    await project.backend.write('app/prod', { port, dbPassword: `s3cret-${port}` })
+  }
+  const ids = (await project.backend.versions('app/prod')).map(version => version.versionId)
+  return { ...project, ids }
+}
+
+test('aws history lists the versions newest first', async t => {
+  const { mysterio, ids } = await versionedProject(t)
+
+  const { secretName, versions } = await mysterio.aws('history', { env: 'prod' })
+
+  t.is(secretName, 'app/prod')
+  t.deepEqual(versions.map(version => version.versionId), ids)
+  t.true(versions[0].current)
+})
+
+test('aws history diffs the current version with the one before by default', async t => {
+  const { mysterio, ids } = await versionedProject(t)
+
+  const result = await mysterio.aws('history', { env: 'prod', to: ids[0], reveal: true })
+
+  t.is(result.from, ids[1])
+  t.is(result.to, ids[0])
+  t.deepEqual(result.diff.changed, [
+    { path: 'dbPassword', from: 's3cret-81', to: 's3cret-82' },
+    { path: 'port', from: 81, to: 82 }
+  ])
+})
+
+test('aws history masks the diff unless --reveal is passed', async t => {
+  const { mysterio, ids } = await versionedProject(t)
+
+  const result = await mysterio.aws('history', { env: 'prod', from: ids[2], to: ids[1] })
+
+  t.is(result.from, ids[2])
+  t.false(JSON.stringify(result.diff).includes('s3cret'))
+  t.false(JSON.stringify(result.diff).includes('80'))
+})
+
+test('aws history fails for an unknown version or without an earlier one', async t => {
+  const { mysterio, ids } = await versionedProject(t)
+
+  await t.throwsAsync(mysterio.aws('history', { env: 'prod', from: 'nope' }), { message: /Version nope not found for app\/prod/ })
+  await t.throwsAsync(mysterio.aws('history', { env: 'prod', to: ids[2] }), { message: /No version before/ })
+})
+
+test('aws rollback --version-id makes that version current', async t => {
+  const { mysterio, backend, ids } = await versionedProject(t)
+
+  t.deepEqual(await mysterio.aws('rollback', { env: 'prod', versionId: ids[2] }), { outcome: 'updated', secretName: 'app/prod' })
+
+  t.deepEqual(await backend.read('app/prod'), { port: 80, dbPassword: 's3cret-80' })
+})
+
+test('aws rollback --previous restores the version before the current one', async t => {
+  const { mysterio, backend } = await versionedProject(t)
+
+  await mysterio.aws('rollback', { env: 'prod', previous: true })
+
+  t.deepEqual(await backend.read('app/prod'), { port: 81, dbPassword: 's3cret-81' })
+})
+
+test('aws rollback leaves the current version alone and needs a version', async t => {
+  const { mysterio, backend, ids } = await versionedProject(t)
+
+  t.deepEqual(await mysterio.aws('rollback', { env: 'prod', versionId: ids[0] }), { outcome: 'unchanged', secretName: 'app/prod' })
+  await t.throwsAsync(mysterio.aws('rollback', { env: 'prod' }), { message: /--version-id <id> or --previous/ })
+  await t.throwsAsync(mysterio.aws('rollback', { env: 'prod', versionId: 'nope' }), { message: /Version nope not found/ })
+  t.is((await backend.versions('app/prod')).length, 3)
+})
+
+test('aws rollback asks for confirmation', async t => {
+  const { mysterio, backend } = await versionedProject(t, {
+    yes: false,
+    interactive: true,
+    prompts: { confirm: async () => false }
+  })
+
+  t.deepEqual(await mysterio.aws('rollback', { env: 'prod', previous: true }), { outcome: 'skipped', detail: 'cancelled' })
+  t.deepEqual(await backend.read('app/prod'), { port: 82, dbPassword: 's3cret-82' })
+})
@@ -0,0 +1,80 @@
+import test from 'ava'
+import { renderConfig, parseConfigFile } from '../formats.mjs'
+import { createProject } from './_project.mjs'
+
+test('dotenv output parses back to the same values', t => {
+  const config = {
+    dbPassword: 'a "b" # c',
+    greeting: "it's",
+    multi: 'line 1\nline 2',
+    url: 'postgres://host/db?a=1&b=2',
+    port: 8080,
+    debug: true,
+    nested: { apiKey: 'x=y' },
+    empty: ''
+  }
+
+  t.deepEqual(parseConfigFile('.env', renderConfig('env', config)), {
+    DB_PASSWORD: 'a "b" # c',
+    GREETING: "it's",
+    MULTI: 'line 1\nline 2',
+    URL: 'postgres://host/db?a=1&b=2',
+    PORT: '8080',
+    DEBUG: 'true',
+    NESTED: '{"apiKey":"x=y"}',
+    EMPTY: ''
+  })
+})
+
+test('dotenv parsing stops a quoted value at its closing quote', t => {
+  const parsed = parseConfigFile('.env', 'A="x" # note\nB=\'y\'\nC="multi\nline" # note\nD=plain # note\nexport E=1\n')
+
+  t.deepEqual(parsed, { A: 'x', B: 'y', C: 'multi\nline', D: 'plain', E: '1' })
+})
+
+test('dotenv parsing rejects text after a closing quote and invalid lines', t => {
+  t.throws(() => parseConfigFile('.env', 'A="x" y\n'), { message: /text after the closing quote of A/ })
+  t.throws(() => parseConfigFile('.env', 'not a line\n'), { message: /Invalid dotenv line 1/ })
+})
+
+test('Kubernetes manifests import their data', t => {
+  const secret = 'kind: Secret\ndata:\n  DB_PASSWORD: czNjcmV0\nstringData:\n  PORT: "80"\n'
+  const configMap = '{"kind":"ConfigMap","data":{"PORT":"80"}}'
+
+  t.deepEqual(parseConfigFile('secret.yaml', secret), { DB_PASSWORD: 's3cret', PORT: '80' })
+  t.deepEqual(parseConfigFile('cm.json', configMap), { PORT: '80' })
+})
+
+test('get --format env imports back into another environment', async t => {
+  const { mysterio, cwd, readJson } = await createProject(t, {
+    files: { 'config/dev.json': { apiUrl: 'https://example.com/?a=1#top', motd: 'say "hi"\nbye' } }
+  })
+
+  await mysterio.get({ env: 'dev', source: 'local', format: 'env', save: 'dev.env' })
+  await mysterio.import(`${cwd}/dev.env`, { env: 'copy', target: 'local' })
+
+  t.deepEqual(await readJson('config/copy.json'), await readJson('config/dev.json'))
+})
+
+test('import keeps UPPER_SNAKE names when the environment uses them', async t => {
+  const { mysterio, cwd, readJson } = await createProject(t, {
+    files: { 'config/dev.json': { API_URL: 'a', LOG_LEVEL: 'info' }, 'in.yaml': 'DB_HOST: h\nnested:\n  key: 1\n' }
+  })
+
+  const result = await mysterio.import(`${cwd}/in.yaml`, { env: 'dev', target: 'local' })
+
+  t.deepEqual(result.keys, ['DB_HOST', 'nested.key'])
+  t.deepEqual(await readJson('config/dev.json'), { API_URL: 'a', LOG_LEVEL: 'info', DB_HOST: 'h', nested: { key: 1 } })
+})
+
+test('import is cancelled when the preview is not confirmed', async t => {
+  const { mysterio, cwd, readJson } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80 }, 'in.env': 'PORT=81\n' },
+    yes: false,
+    interactive: true,
+    prompts: { confirm: async () => false }
+  })
+
+  t.deepEqual(await mysterio.import(`${cwd}/in.env`, { env: 'dev', target: 'local' }), { env: 'dev', target: 'local', keys: [], cancelled: true })
+  t.deepEqual(await readJson('config/dev.json'), { port: 80 })
+})
@@ -0,0 +1,72 @@
+import test from 'ava'
+import { interpolateConfig, InterpolationError } from '../interpolate.mjs'
+import { createProject } from './_project.mjs'
+
+test('interpolateConfig expands references through other references', async t => {
+  const { config } = await interpolateConfig({
+    host: 'db',
+    url: 'postgres://${ref:host}/${ref:name}',
+    name: '${env:DB_NAME}'
+  }, { env: { DB_NAME: 'app' } })
+
+  t.is(config.url, 'postgres://db/app')
+})
+
+test('interpolateConfig rejects a reference cycle', async t => {
+  const error = await t.throwsAsync(interpolateConfig({ a: '${ref:b}', b: '${ref:c}', c: '${ref:a}' }), {
+    instanceOf: InterpolationError
+  })
+  t.regex(error.message, /circular/i)
+})
+
+test('interpolateConfig rejects a key referring to itself', async t => {
+  await t.throwsAsync(interpolateConfig({ a: 'x${ref:a}' }), { instanceOf: InterpolationError })
+})
+
+test('get fails on a reference cycle unless --raw is given', async t => {
+  const { mysterio } = await createProject(t, {
+    files: { 'config/dev.json': { a: '${ref:b}', b: '${ref:a}' } }
+  })
+
+  await t.throwsAsync(mysterio.get({ env: 'dev', source: 'local' }), { instanceOf: InterpolationError })
+
+  const { config } = await mysterio.get({ env: 'dev', source: 'local', raw: true })
+  t.deepEqual(config, { a: '${ref:b}', b: '${ref:a}' })
+})
+
+test('interpolateConfig marks keys expanding a sensitive key as sensitive', async t => {
+  const { secretPaths } = await interpolateConfig({
+    dbPassword: 'p',
+    db: { user: 'u', token: 't' },
+    dsn: 'pg://u:${ref:dbPassword}@h',
+    copy: '${ref:db}',
+    nested: '${ref:dsn}',
+    host: '${ref:db.user}'
+  }, { isSensitive: keyPath => /password|token/i.test(keyPath) })
+
+  t.deepEqual([...secretPaths].sort(), ['copy', 'copy.token', 'copy.user', 'dsn', 'nested'])
+})
+
+test('get masks a value built from a sensitive key', async t => {
+  const { mysterio } = await createProject(t, {
+    config: { sensitiveKeys: ['apiKey'] },
+    files: {
+      'config/schema.json': { properties: { dbUser: { type: 'string', secret: true } } },
+      'config/dev.json': {
+        dbPassword: 'p',
+        dbUser: 'u',
+        apiKey: 'k',
+        host: 'h',
+        dsn: 'pg://u:${ref:dbPassword}@${ref:host}',
+        login: '${ref:dbUser}@${ref:host}',
+        callback: 'https://h/?key=${ref:apiKey}',
+        url: 'https://${ref:host}'
+      }
+    }
+  })
+
+  const { config } = await mysterio.get({ env: 'dev', source: 'local' })
+
+  t.like(config, { dsn: '********', login: '********', callback: '********', url: 'https://h' })
+  t.is((await mysterio.get({ env: 'dev', source: 'local', key: 'dsn', reveal: true })).value, 'pg://u:p@h')
+})
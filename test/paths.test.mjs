@@ -0,0 +1,72 @@
+import test from 'ava'
+import { getPath, setPath, unsetPath, flattenConfig, unflattenConfig } from '../diff.mjs'
+import { NotFoundError } from '../errors.mjs'
+import { createProject } from './_project.mjs'
+
+test('getPath reads nested keys, preferring a literal dotted key', t => {
+  const config = { db: { host: 'a', port: 5432 }, 'feature.flag': true }
+
+  t.is(getPath(config, 'db.host'), 'a')
+  t.deepEqual(getPath(config, 'db'), { host: 'a', port: 5432 })
+  t.true(getPath(config, 'feature.flag'))
+  t.is(getPath(config, 'db.host.name'), undefined)
+  t.is(getPath(config, 'missing'), undefined)
+})
+
+test('setPath returns a copy with intermediate objects created', t => {
+  const config = { db: { host: 'a' }, port: 80 }
+  const updated = setPath(config, 'db.pool.max', 10)
+
+  t.deepEqual(updated, { db: { host: 'a', pool: { max: 10 } }, port: 80 })
+  t.deepEqual(config, { db: { host: 'a' }, port: 80 })
+  t.deepEqual(setPath({ port: 'x' }, 'port.value', 1), { port: { value: 1 } })
+})
+
+test('unsetPath removes keys and subtrees, and objects left empty', t => {
+  const config = { db: { pool: { max: 10 } }, port: 80 }
+
+  t.deepEqual(unsetPath(config, 'db.pool.max'), { result: { port: 80 }, removed: true })
+  t.deepEqual(unsetPath(config, 'db'), { result: { port: 80 }, removed: true })
+  t.deepEqual(unsetPath(config, 'db.missing'), { result: config, removed: false })
+  t.deepEqual(unsetPath(null, 'db'), { result: null, removed: false })
+})
+
+test('flattenConfig and unflattenConfig are inverses', t => {
+  const config = { db: { host: 'a', tags: ['x'], empty: {} }, port: 80 }
+  const flat = flattenConfig(config)
+
+  t.deepEqual(flat, { 'db.host': 'a', 'db.tags': ['x'], 'db.empty': {}, port: 80 })
+  t.deepEqual(unflattenConfig(flat), config)
+})
+
+test('set, get <key> and unset work on dot paths', async t => {
+  const { mysterio, readJson } = await createProject(t, {
+    files: { 'config/dev.json': { db: { host: 'a' } } }
+  })
+
+  await mysterio.set('db.pool.max', '10', { env: 'dev' })
+  t.deepEqual(await readJson('config/dev.json'), { db: { host: 'a', pool: { max: '10' } } })
+  t.is((await mysterio.get({ env: 'dev', source: 'local', key: 'db.pool.max' })).value, '10')
+
+  await mysterio.unset('db.pool', { env: 'dev' })
+  t.deepEqual(await readJson('config/dev.json'), { db: { host: 'a' } })
+})
+
+test('get <key> fails for a missing key', async t => {
+  const { mysterio } = await createProject(t, { files: { 'config/dev.json': { db: {} } } })
+
+  await t.throwsAsync(mysterio.get({ env: 'dev', source: 'local', key: 'db.host' }), { instanceOf: NotFoundError })
+})
+
+test('unset removes keys from the secret', async t => {
+  const { mysterio, backend } = await createProject(t, {
+    secrets: { 'app/dev': { db: { password: 'x', user: 'app' } } }
+  })
+
+  await mysterio.unset('db.password', { env: 'dev', target: 'aws' })
+  t.deepEqual(await backend.read('app/dev'), { db: { user: 'app' } })
+
+  // A key that isn't there leaves the secret alone
+  await mysterio.unset('db.password', { env: 'dev', target: 'aws' })
+  t.is((await backend.versions('app/dev')).length, 2)
+})
@@ -0,0 +1,62 @@
+import test from 'ava'
+import { createPlan } from '../plan.mjs'
+import { runWithContext, silentLogger } from '../context.mjs'
+import { createProject } from './_project.mjs'
+
+// A logger collecting what is printed
+function collect() {
+  const lines = []
+  const push = (...args) => lines.push(args.join(' '))
+  return { lines, logger: { log: push, info: push, warn: push, error: push } }
+}
+
+test('a plan performs its steps unless it is a dry run', t => runWithContext({ logger: silentLogger }, async () => {
+  const plan = createPlan()
+  t.is(await plan.run({ description: 'write x' }, async () => 'done'), 'done')
+  t.deepEqual(plan.steps, [])
+
+  const dryRun = createPlan({ dryRun: true })
+  let performed = false
+  t.is(await dryRun.run({ description: 'write x', after: { a: 1 } }, async () => { performed = true }), null)
+  t.false(performed)
+  t.deepEqual(dryRun.steps, [{ description: 'write x', before: undefined, after: { a: 1 } }])
+}))
+
+test('set --dry-run prints the change and writes nothing', async t => {
+  const { lines, logger } = collect()
+  const { mysterio, readJson, cwd } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80 } },
+    logger
+  })
+
+  t.deepEqual(await mysterio.set('port', '81', { env: 'dev', dryRun: true }), { env: 'dev', target: 'local', keys: ['port'], dryRun: true })
+  t.deepEqual(await readJson('config/dev.json'), { port: 80 })
+  t.deepEqual(mysterio.writes(), [])
+  t.deepEqual(lines, [
+    `📝 Would write ${cwd}/config/dev.json`,
+    '     ~ port: 80 → 81',
+    '📝 Dry run: 1 operation(s) planned, nothing was changed'
+  ])
+})
+
+test('aws push --dry-run leaves the secret as it is', async t => {
+  const { mysterio, backend } = await createProject(t, {
+    files: { 'config/dev.json': { port: 81 } },
+    secrets: { 'app/dev': { port: 80 } }
+  })
+
+  await mysterio.aws('push', { env: 'dev', override: true, dryRun: true })
+
+  t.deepEqual(await backend.read('app/dev'), { port: 80 })
+  t.is((await backend.versions('app/dev')).length, 1)
+})
+
+test('env delete --dry-run keeps the file', async t => {
+  const { mysterio, readJson } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80 } }
+  })
+
+  await mysterio.env('delete', 'dev', { dryRun: true })
+
+  t.deepEqual(await readJson('config/dev.json'), { port: 80 })
+})
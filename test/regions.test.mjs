@@ -0,0 +1,76 @@
+import test from 'ava'
+import { createMemoryBackend, createReplicatedBackend } from '../backends.mjs'
+import { createProject } from './_project.mjs'
+
+const regional = (region, seed) => ({ ...createMemoryBackend(seed), region })
+
+function replicated() {
+  const primary = regional('us-east-1')
+  const replicas = [regional('eu-west-1'), regional('ap-south-1')]
+  return { primary, replicas, backend: createReplicatedBackend(primary, replicas) }
+}
+
+test('writes reach every region and reads go to the primary', async t => {
+  const { primary, replicas, backend } = replicated()
+
+  await backend.write('app/prod', { port: 80 })
+
+  t.deepEqual(backend.regions, ['us-east-1', 'eu-west-1', 'ap-south-1'])
+  for (const region of [primary, ...replicas]) {
+    t.deepEqual(await region.read('app/prod'), { port: 80 })
+  }
+})
+
+test('a rollback is written again to the replicas', async t => {
+  const { replicas, backend } = replicated()
+  const { versionId } = await backend.write('app/prod', { port: 80 })
+  await backend.write('app/prod', { port: 81 })
+
+  await backend.restore('app/prod', versionId)
+
+  t.deepEqual(await replicas[0].read('app/prod'), { port: 80 })
+})
+
+test('delete removes the secret from every region', async t => {
+  const { primary, replicas, backend } = replicated()
+  await backend.write('app/prod', { port: 80 })
+  await replicas[1].delete('app/prod')
+
+  await backend.delete('app/prod')
+
+  t.is(await primary.read('app/prod'), null)
+  t.is(await replicas[0].read('app/prod'), null)
+})
+
+test('createReplicatedBackend refuses an unknown mode and native mode without support', t => {
+  t.throws(() => createReplicatedBackend(regional('us-east-1'), [], { mode: 'copy' }), { message: /Invalid regionReplication: copy/ })
+  t.throws(() => createReplicatedBackend(regional('us-east-1'), [], { mode: 'native' }), { message: /Native replication is not available/ })
+})
+
+test('aws status reports regions that drifted from the primary', async t => {
+  const primary = regional('us-east-1', { 'app/prod': { port: 80 } })
+  const replicas = [regional('eu-west-1', { 'app/prod': { port: 81 } }), regional('ap-south-1')]
+  const { mysterio } = await createProject(t, { backend: createReplicatedBackend(primary, replicas) })
+
+  const { regions, drift } = await mysterio.aws('status', { env: 'prod' })
+
+  t.true(drift)
+  t.deepEqual(regions.map(({ region, primary, state }) => ({ region, primary, state })), [
+    { region: 'us-east-1', primary: true, state: 'ok' },
+    { region: 'eu-west-1', primary: false, state: 'different' },
+    { region: 'ap-south-1', primary: false, state: 'missing' }
+  ])
+})
+
+test('aws push brings every region up to date', async t => {
+  const primary = regional('us-east-1', { 'app/prod': { port: 80 } })
+  const replicas = [regional('eu-west-1')]
+  const { mysterio } = await createProject(t, {
+    backend: createReplicatedBackend(primary, replicas),
+    files: { 'config/prod.json': { port: 81 } }
+  })
+
+  await mysterio.aws('push', { env: 'prod', override: true })
+
+  t.false((await mysterio.aws('status', { env: 'prod' })).drift)
+})
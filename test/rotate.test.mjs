@@ -0,0 +1,80 @@
+import test from 'ava'
+import { createMemoryBackend } from '../index.mjs'
+import { createProject } from './_project.mjs'
+
+const DAY = 24 * 60 * 60 * 1000
+
+// A memory backend whose existing versions were all written `days` ago
+function agedBackend(seed, days) {
+  const backend = createMemoryBackend(seed)
+  const createdAt = new Date(Date.now() - days * DAY)
+  return {
+    ...backend,
+    versions: async secretName => (await backend.versions(secretName)).map(version => ({ ...version, createdAt }))
+  }
+}
+
+const rotation = { keys: { dbPassword: { generator: 'hex', length: 8 }, apiToken: {} }, gracePeriodDays: 7 }
+
+test('rotate keeps the previous value under the previous key', async t => {
+  const { mysterio, backend } = await createProject(t, {
+    config: { rotation },
+    secrets: { 'app/prod': { dbPassword: 'old', port: 80 } }
+  })
+
+  const result = await mysterio.aws('rotate', { env: 'prod', key: 'dbPassword' })
+  const secret = await backend.read('app/prod')
+
+  t.deepEqual(result.rotated, ['dbPassword'])
+  t.regex(secret.dbPassword, /^[0-9a-f]{16}$/)
+  t.is(secret.dbPasswordPrevious, 'old')
+  t.is(secret.port, 80)
+})
+
+test('rotate removes previous values once their grace period is over', async t => {
+  const { mysterio, backend } = await createProject(t, {
+    config: { rotation },
+    backend: agedBackend({ 'app/prod': { dbPassword: 'new', dbPasswordPrevious: 'old', apiToken: 'token' } }, 8)
+  })
+
+  const result = await mysterio.aws('rotate', { env: 'prod', key: 'apiToken' })
+  const secret = await backend.read('app/prod')
+
+  t.deepEqual(result.expired, ['dbPasswordPrevious'])
+  t.false('dbPasswordPrevious' in secret)
+  t.is(secret.dbPassword, 'new')
+  t.is(secret.apiTokenPrevious, 'token')
+})
+
+test('rotate keeps previous values during their grace period', async t => {
+  const { mysterio, backend } = await createProject(t, {
+    config: { rotation },
+    backend: agedBackend({ 'app/prod': { dbPassword: 'new', dbPasswordPrevious: 'old', apiToken: 'token' } }, 3)
+  })
+
+  const result = await mysterio.aws('rotate', { env: 'prod', key: 'apiToken' })
+
+  t.deepEqual(result.expired, [])
+  t.is((await backend.read('app/prod')).dbPasswordPrevious, 'old')
+})
+
+test('rotate --all-stale only rotates keys older than --max-age', async t => {
+  const { mysterio } = await createProject(t, {
+    config: { rotation },
+    backend: agedBackend({ 'app/prod': { dbPassword: 'old', apiToken: 'token' } }, 10)
+  })
+
+  t.deepEqual((await mysterio.aws('rotate', { env: 'prod', allStale: true, maxAge: 30 })).rotated, [])
+  t.deepEqual((await mysterio.aws('rotate', { env: 'prod', allStale: true, maxAge: 5 })).rotated, ['dbPassword', 'apiToken'])
+})
+
+test('rotate --dry-run leaves the secret as it is', async t => {
+  const { mysterio, backend } = await createProject(t, {
+    config: { rotation },
+    secrets: { 'app/prod': { dbPassword: 'old' } }
+  })
+
+  await mysterio.aws('rotate', { env: 'prod', key: 'dbPassword', dryRun: true })
+
+  t.deepEqual(await backend.read('app/prod'), { dbPassword: 'old' })
+})
@@ -0,0 +1,58 @@
+import test from 'ava'
+import { createProject } from './_project.mjs'
+
+// Exits 0 when every variable named in MYSTERIO_EXPECT has the given value
+// and every one named in MYSTERIO_ABSENT is unset
+const CHECK = `
+const expected = JSON.parse(process.env.MYSTERIO_EXPECT || '{}')
+const absent = JSON.parse(process.env.MYSTERIO_ABSENT || '[]')
+const ok = Object.entries(expected).every(([name, value]) => process.env[name] === value) &&
+  absent.every(name => !(name in process.env))
+process.exit(ok ? 0 : 3)
+`
+
+async function check(t, options, { expect = {}, absent = [] }) {
+  const { mysterio } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80, dbHost: 'localhost', feature: { on: true }, apiToken: 'x' } }
+  })
+  process.env.MYSTERIO_EXPECT = JSON.stringify(expect)
+  process.env.MYSTERIO_ABSENT = JSON.stringify(absent)
+  t.teardown(() => {
+    delete process.env.MYSTERIO_EXPECT
+    delete process.env.MYSTERIO_ABSENT
+  })
+  return await mysterio.run(process.execPath, ['-e', CHECK], { env: 'dev', source: 'local', ...options })
+}
+
+test.serial('run injects the resolved config as environment variables', async t => {
+  t.is(await check(t, {}, { expect: { PORT: '80', DB_HOST: 'localhost', FEATURE: '{"on":true}', API_TOKEN: 'x' } }), 0)
+})
+
+test.serial('run --only takes config or variable names, as a list or a string', async t => {
+  t.is(await check(t, { only: ['port,DB_HOST'] }, { expect: { PORT: '80', DB_HOST: 'localhost' }, absent: ['API_TOKEN'] }), 0)
+  t.is(await check(t, { only: 'apiToken' }, { expect: { API_TOKEN: 'x' }, absent: ['PORT'] }), 0)
+})
+
+test.serial('run --prefix only injects matching variables', async t => {
+  t.is(await check(t, { prefix: 'db_' }, { expect: { DB_HOST: 'localhost' }, absent: ['PORT'] }), 0)
+})
+
+test.serial('run --keep-env lets existing variables win', async t => {
+  process.env.PORT = '9999'
+  t.teardown(() => delete process.env.PORT)
+
+  t.is(await check(t, { keepEnv: true }, { expect: { PORT: '9999', DB_HOST: 'localhost' } }), 0)
+  t.is(await check(t, {}, { expect: { PORT: '80' } }), 0)
+})
+
+test('run resolves to the exit code of the command', async t => {
+  const { mysterio } = await createProject(t, { files: { 'config/dev.json': {} } })
+
+  t.is(await mysterio.run(process.execPath, ['-e', 'process.exit(7)'], { env: 'dev', source: 'local' }), 7)
+})
+
+test('run fails when the command cannot start', async t => {
+  const { mysterio } = await createProject(t, { files: { 'config/dev.json': {} } })
+
+  await t.throwsAsync(mysterio.run('mysterio-no-such-command', [], { env: 'dev', source: 'local' }), { code: 'ENOENT' })
+})
@@ -0,0 +1,83 @@
+import test from 'ava'
+import { validateConfig, coerceValue, ValidationError } from '../schema.mjs'
+import { createProject } from './_project.mjs'
+
+const schema = {
+  type: 'object',
+  required: ['port'],
+  properties: {
+    port: { type: 'integer', minimum: 1 },
+    debug: { type: 'boolean' },
+    db: { type: 'object', properties: { host: { type: 'string', format: 'hostname' } } }
+  }
+}
+
+test('validateConfig reports each error with its dot path', t => {
+  t.deepEqual(validateConfig(schema, { port: 80, db: { host: 'localhost' } }), [])
+
+  const errors = validateConfig(schema, { port: 0, db: { host: 'not a host' } })
+  t.deepEqual(errors.map(error => error.path).sort(), ['db.host', 'port'])
+})
+
+test('validateConfig with partial skips required keys', t => {
+  t.is(validateConfig(schema, { debug: true }).length, 1)
+  t.deepEqual(validateConfig(schema, { debug: true }, { partial: true }), [])
+})
+
+test('coerceValue stores values in the declared type', t => {
+  t.is(coerceValue(schema, 'port', '8080'), 8080)
+  t.is(coerceValue(schema, 'debug', 'false'), false)
+  t.is(coerceValue(schema, 'db.host', 'localhost'), 'localhost')
+  t.is(coerceValue(schema, 'unknown', '1'), '1')
+})
+
+test('validate checks the resolved environment', async t => {
+  const { mysterio } = await createProject(t, {
+    files: { 'config/schema.json': schema, 'config/dev.json': { port: 80 }, 'config/prod.json': { port: 'x' } }
+  })
+
+  t.true((await mysterio.validate({ env: 'dev', source: 'local' })).valid)
+
+  const result = await mysterio.validate({ env: 'prod', source: 'local' })
+  t.false(result.valid)
+  t.is(result.results[0].errors[0].path, 'port')
+})
+
+test('validate --all keeps going past an environment that fails to resolve', async t => {
+  const { mysterio } = await createProject(t, {
+    files: {
+      'config/schema.json': schema,
+      'config/a.json': { port: 80 },
+      'config/b.json': { port: 80, extends: 'missing' },
+      'config/c.json': { port: 0 }
+    }
+  })
+
+  const { valid, results } = await mysterio.validate({ all: true, source: 'local' })
+
+  t.false(valid)
+  t.deepEqual(results.map(({ env, error, errors }) => ({ env, failed: Boolean(error), errors: errors.length })), [
+    { env: 'a', failed: false, errors: 0 },
+    { env: 'b', failed: true, errors: 0 },
+    { env: 'c', failed: false, errors: 1 }
+  ])
+})
+
+test('validate fails without a schema', async t => {
+  const { mysterio } = await createProject(t, { files: { 'config/dev.json': {} } })
+
+  await t.throwsAsync(mysterio.validate({ env: 'dev', source: 'local' }), { message: /No schema found/ })
+})
+
+test('set refuses values that do not match the schema unless --no-validate', async t => {
+  const { mysterio, readJson } = await createProject(t, {
+    files: { 'config/schema.json': schema, 'config/dev.json': { port: 80 } }
+  })
+
+  await t.throwsAsync(mysterio.set('port', '-1', { env: 'dev' }), { instanceOf: ValidationError })
+  await mysterio.set('port', '8080', { env: 'dev' })
+  t.deepEqual(await readJson('config/dev.json'), { port: 8080 })
+
+  await mysterio.set('port', 'x', { env: 'dev', validate: false })
+  t.deepEqual(await readJson('config/dev.json'), { port: 'x' })
+})
@@ -0,0 +1,108 @@
+import test from 'ava'
+import { diffConfigs, formatDiff } from '../diff.mjs'
+import { createSensitivity } from '../sensitivity.mjs'
+import { createProject } from './_project.mjs'
+
+// A logger collecting what is printed
+function collect() {
+  const lines = []
+  const push = (...args) => lines.push(args.join(' '))
+  return { lines, logger: { log: push, info: push, warn: push, error: push } }
+}
+
+test('createSensitivity matches the default patterns and sensitiveKeys', t => {
+  const { isSensitive } = createSensitivity({ keys: ['db.host'] })
+
+  t.true(isSensitive('dbPassword'))
+  t.true(isSensitive('API_TOKEN'))
+  t.true(isSensitive('db.host'))
+  t.true(isSensitive('secret.inner'))
+  t.false(isSensitive('port'))
+})
+
+test('createSensitivity masks only sensitive leaves', t => {
+  const { mask } = createSensitivity({ secretPaths: new Set(['region']) })
+
+  t.deepEqual(mask({ port: 80, region: 'us', db: { password: 'x', host: 'h' } }), {
+    port: 80,
+    region: '********',
+    db: { password: '********', host: 'h' }
+  })
+})
+
+test('formatDiff masks the sensitive keys it is given, and everything without a sensitivity', t => {
+  const diff = diffConfigs({ dbPassword: 'a', port: 80 }, { dbPassword: 'b', port: 81 })
+
+  t.is(formatDiff(diff, { sensitivity: createSensitivity() }), '  ~ dbPassword: ******** → ********\n  ~ port: 80 → 81')
+  t.is(formatDiff(diff), '  ~ dbPassword: ******** → ********\n  ~ port: ******** → ********')
+})
+
+test('diff between local environments masks only sensitive keys', async t => {
+  const { mysterio } = await createProject(t, {
+    files: {
+      'config/dev.json': { port: 80, apiToken: 'dev-token' },
+      'config/prod.json': { port: 81, apiToken: 'prod-token' }
+    }
+  })
+
+  const { diff } = await mysterio.diff('local:dev', 'local:prod', {})
+
+  t.deepEqual(diff.changed, [
+    { path: 'apiToken', from: '********', to: '********' },
+    { path: 'port', from: 80, to: 81 }
+  ])
+})
+
+test('diff with the secret masks the keys that come from it', async t => {
+  const { mysterio } = await createProject(t, {
+    files: { 'config/prod.json': { port: 80, region: 'eu' } },
+    secrets: { 'app/prod': { port: 81, region: 'us' } }
+  })
+
+  const { diff } = await mysterio.diff('local:prod', 'aws:prod', {})
+
+  t.deepEqual(diff.changed, [
+    { path: 'port', from: '********', to: '********' },
+    { path: 'region', from: '********', to: '********' }
+  ])
+})
+
+test('get masks sensitive values and says how many it masked', async t => {
+  const { lines, logger } = collect()
+  const { mysterio } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80, dbPassword: 's3cret', db: { token: 't' } } },
+    logger
+  })
+
+  const result = await mysterio.get({ env: 'dev', source: 'local' })
+
+  t.deepEqual(result.config, { port: 80, dbPassword: '********', db: { token: '********' } })
+  t.is(result.masked, 2)
+  t.true(lines.includes('💡 2 sensitive value(s) masked, pass --reveal to show them'))
+})
+
+test('get <key> counts only the masked values it prints', async t => {
+  const { lines, logger } = collect()
+  const { mysterio } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80, dbPassword: 's3cret', db: { host: 'h', password: 'p' } } },
+    logger
+  })
+
+  t.is((await mysterio.get({ env: 'dev', source: 'local', key: 'port' })).masked, 0)
+  t.false(lines.some(line => line.includes('masked')))
+
+  const db = await mysterio.get({ env: 'dev', source: 'local', key: 'db' })
+  t.deepEqual(db.value, { host: 'h', password: '********' })
+  t.is(db.masked, 1)
+})
+
+test('get --reveal masks nothing', async t => {
+  const { mysterio } = await createProject(t, {
+    files: { 'config/dev.json': { dbPassword: 's3cret' } }
+  })
+
+  const result = await mysterio.get({ env: 'dev', source: 'local', reveal: true })
+
+  t.deepEqual(result.config, { dbPassword: 's3cret' })
+  t.is(result.masked, 0)
+})
@@ -0,0 +1,96 @@
+import test from 'ava'
+import http from 'node:http'
+import { createHandler } from '../serve.mjs'
+import { NotFoundError } from '../errors.mjs'
+
+const TOKEN = 'test-token'
+const CONFIGS = { dev: { port: 80, db: { host: 'localhost' } } }
+
+async function getConfig(env) {
+  if (env === 'broken') throw new Error('Unable to decrypt vault')
+  if (!CONFIGS[env]) throw new NotFoundError(`Configuration file not found for environment: ${env}`)
+  return CONFIGS[env]
+}
+
+// A server on a free port around createHandler(), closed after the test
+async function listen(t, options = {}) {
+  const errors = []
+  const handler = createHandler({ token: TOKEN, getConfig, onError: (error, env) => errors.push(env), ...options })
+  const server = http.createServer((req, res) => handler(req, res))
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.teardown(() => new Promise(resolve => {
+    server.closeAllConnections()
+    server.close(resolve)
+  }))
+
+  const request = (pathname, { token = TOKEN, method = 'GET' } = {}) => fetch(`http://127.0.0.1:${server.address().port}${pathname}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  })
+  return { request, errors }
+}
+
+test('health needs no token', async t => {
+  const { request } = await listen(t)
+  const res = await request('/v1/health', { token: null })
+
+  t.is(res.status, 200)
+  t.deepEqual(await res.json(), { ok: true })
+})
+
+test('config needs the bearer token', async t => {
+  const { request } = await listen(t)
+
+  for (const token of [null, 'wrong', `${TOKEN}x`]) {
+    const res = await request('/v1/config/dev', { token })
+    t.is(res.status, 401)
+    t.is(res.headers.get('www-authenticate'), 'Bearer')
+  }
+})
+
+test('config answers the environment, a key and a dotenv file', async t => {
+  const { request } = await listen(t)
+
+  t.deepEqual(await (await request('/v1/config/dev')).json(), CONFIGS.dev)
+  t.is(await (await request('/v1/config/dev/db.host')).json(), 'localhost')
+  t.is(await (await request('/v1/config/dev/port?format=env')).text(), '80')
+  t.regex(await (await request('/v1/config/dev?format=env')).text(), /^PORT=80$/m)
+})
+
+test('a malformed path is a 400, not a crash', async t => {
+  const { request } = await listen(t)
+
+  const res = await request('/v1/config/%E0%A4%A')
+  t.is(res.status, 400)
+  t.regex((await res.json()).error, /Invalid path/)
+
+  t.is((await request('/v1/health/%E0%A4%A', { token: null })).status, 401)
+  t.is((await request('/v1/health')).status, 200)
+})
+
+test('bad requests are rejected before resolving', async t => {
+  const { request, errors } = await listen(t)
+
+  t.is((await request('/v1/config')).status, 404)
+  t.is((await request('/v2/config/dev')).status, 404)
+  t.is((await request('/v1/config/dev/port/extra')).status, 404)
+  t.is((await request('/v1/config/..%2Fetc')).status, 400)
+  t.is((await request('/v1/config/dev?format=yaml')).status, 400)
+  t.is((await request('/v1/config/dev/missing')).status, 404)
+  t.is((await request('/v1/config/dev', { method: 'POST' })).status, 405)
+  t.deepEqual(errors, [])
+})
+
+test('resolution errors map to status codes and are reported', async t => {
+  const { request, errors } = await listen(t)
+
+  const missing = await request('/v1/config/staging')
+  t.is(missing.status, 404)
+  t.regex((await missing.json()).error, /staging/)
+
+  const broken = await request('/v1/config/broken')
+  t.is(broken.status, 500)
+  t.deepEqual(await broken.json(), { error: 'Unable to decrypt vault' })
+
+  t.deepEqual(errors, ['staging', 'broken'])
+})
@@ -0,0 +1,87 @@
+import test from 'ava'
+import { threeWayMerge, snapshotConfig } from '../sync.mjs'
+import { createProject } from './_project.mjs'
+
+const hash = value => JSON.stringify(value)
+
+test('threeWayMerge keeps keys unchanged on both sides', t => {
+  const base = snapshotConfig({ port: 80, host: 'a' }, hash)
+  const { merged, conflicts } = threeWayMerge(base, { port: 80, host: 'a' }, { port: 80, host: 'a' }, hash)
+
+  t.deepEqual(merged, { port: 80, host: 'a' })
+  t.deepEqual(conflicts, [])
+})
+
+test('threeWayMerge takes an edit made on one side only', t => {
+  const base = snapshotConfig({ port: 80, host: 'a' }, hash)
+  const { merged, conflicts, fromLocal, fromAws } = threeWayMerge(base, { port: 81, host: 'a' }, { port: 80, host: 'b' }, hash)
+
+  t.deepEqual(merged, { port: 81, host: 'b' })
+  t.deepEqual(conflicts, [])
+  t.deepEqual(fromLocal, ['port'])
+  t.deepEqual(fromAws, ['host'])
+})
+
+test('threeWayMerge propagates a deletion made on one side only', t => {
+  const base = snapshotConfig({ port: 80, debug: true }, hash)
+  const { merged, conflicts, fromLocal } = threeWayMerge(base, { port: 80 }, { port: 80, debug: true }, hash)
+
+  t.deepEqual(merged, { port: 80 })
+  t.deepEqual(conflicts, [])
+  t.deepEqual(fromLocal, ['debug'])
+})
+
+test('threeWayMerge reports keys changed differently on both sides as conflicts', t => {
+  const base = snapshotConfig({ port: 80 }, hash)
+  const { merged, conflicts } = threeWayMerge(base, { port: 81 }, { port: 82 }, hash)
+
+  t.deepEqual(merged, {})
+  t.deepEqual(conflicts, [{ path: 'port', local: 81, aws: 82 }])
+})
+
+test('threeWayMerge without a snapshot takes new keys and reports differing values as conflicts', t => {
+  const { merged, conflicts } = threeWayMerge({}, { port: 80, host: 'a' }, { port: 81 }, hash)
+
+  t.deepEqual(merged, { host: 'a' })
+  t.deepEqual(conflicts, [{ path: 'port', local: 80, aws: 81 }])
+})
+
+test('aws sync propagates a local deletion on the next sync', async t => {
+  const { mysterio, backend, readJson } = await createProject(t, {
+    files: { 'config/prod.json': { port: 80, dbPassword: 'old' } },
+    secrets: { 'app/prod': { port: 80, dbPassword: 'old' } }
+  })
+
+  await mysterio.aws('sync', { env: 'prod' })
+  await mysterio.unset('dbPassword', { env: 'prod', target: 'local' })
+  await mysterio.aws('sync', { env: 'prod' })
+
+  t.deepEqual(await backend.read('app/prod'), { port: 80 })
+  t.deepEqual(await readJson('config/prod.json'), { port: 80 })
+})
+
+test('aws sync without --prefer fails on conflicts when it cannot ask', async t => {
+  const { mysterio } = await createProject(t, {
+    files: { 'config/prod.json': { port: 81 } },
+    secrets: { 'app/prod': { port: 82 } }
+  })
+
+  const error = await t.throwsAsync(mysterio.aws('sync', { env: 'prod' }))
+  t.regex(error.message, /conflict/)
+})
+
+test('aws sync --prefer resolves conflicts and records the snapshot', async t => {
+  const { mysterio, backend, readJson } = await createProject(t, {
+    files: { 'config/prod.json': { port: 81, host: 'a' } },
+    secrets: { 'app/prod': { port: 82, host: 'a' } }
+  })
+
+  await mysterio.aws('sync', { env: 'prod', prefer: 'aws' })
+  t.deepEqual(await readJson('config/prod.json'), { port: 82, host: 'a' })
+
+  // Both sides now match the snapshot, so an AWS edit is no conflict
+  await backend.write('app/prod', { port: 83, host: 'a' })
+  await mysterio.aws('sync', { env: 'prod' })
+  t.deepEqual(await readJson('config/prod.json'), { port: 83, host: 'a' })
+  t.truthy((await readJson('.mysterio-sync.json'))['app/prod'])
+})
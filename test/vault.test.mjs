@@ -0,0 +1,55 @@
+import test from 'ava'
+import { encryptVault, decryptVault } from '../vault.mjs'
+import { createProject } from './_project.mjs'
+
+// Answers the vault passphrase prompt
+const passphrase = value => ({ prompts: { password: async () => value }, interactive: true })
+
+test('decryptVault reads what encryptVault wrote with the same key', t => {
+  const vault = encryptVault({ dbPassword: 's3cret' }, Buffer.from('right'))
+
+  t.deepEqual(decryptVault(vault, Buffer.from('right')), { dbPassword: 's3cret' })
+  t.false(JSON.stringify(vault).includes('s3cret'))
+})
+
+test('decryptVault fails with a wrong key', t => {
+  const vault = encryptVault({ dbPassword: 's3cret' }, Buffer.from('right'))
+
+  t.throws(() => decryptVault(vault, Buffer.from('wrong')), { message: /wrong passphrase or key file/ })
+})
+
+test('decryptVault fails on a tampered vault', t => {
+  const vault = encryptVault({ dbPassword: 's3cret' }, Buffer.from('right'))
+  const data = Buffer.from(vault.data, 'base64')
+  data[0] ^= 1
+
+  t.throws(() => decryptVault({ ...vault, data: data.toString('base64') }, Buffer.from('right')))
+})
+
+test('get reads the vault with the passphrase it was written with and fails with another', async t => {
+  const { mysterio, cwd } = await createProject(t, {
+    files: { 'config/prod.json': { port: 80 } },
+    ...passphrase('right')
+  })
+  await mysterio.set('dbPassword', 's3cret', { env: 'prod', target: 'vault' })
+
+  const { config } = await mysterio.get({ env: 'prod', source: 'vault', reveal: true })
+  t.deepEqual(config, { dbPassword: 's3cret' })
+
+  const { mysterio: other } = await createProject(t, passphrase('wrong'))
+  await t.throwsAsync(other.get({ env: 'prod', source: 'vault', configDir: `${cwd}/config` }), {
+    message: /wrong passphrase or key file/
+  })
+})
+
+test('the vault is encrypted on disk and overrides the local file in merged config', async t => {
+  const { mysterio, readJson } = await createProject(t, {
+    files: { 'config/prod.json': { port: 80, dbPassword: 'placeholder' } },
+    secrets: { 'app/prod': { region: 'us' } },
+    ...passphrase('right')
+  })
+  await mysterio.set('dbPassword', 's3cret', { env: 'prod', target: 'vault' })
+
+  t.false(JSON.stringify(await readJson('config/.vault/prod.json')).includes('s3cret'))
+  t.deepEqual((await mysterio.get({ env: 'prod', reveal: true })).config, { port: 80, dbPassword: 's3cret', region: 'us' })
+})
@@ -0,0 +1,68 @@
+import test from 'ava'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { setTimeout as delay } from 'node:timers/promises'
+import { writeFileAtomic, watchChanges } from '../watch.mjs'
+import { createProject } from './_project.mjs'
+
+// Wait until `check` holds, for at most five seconds
+async function eventually(check) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    if (await check()) return true
+    await delay(100)
+  }
+  return false
+}
+
+test('writeFileAtomic replaces the file and leaves no temporary file', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterio-watch-'))
+  t.teardown(() => fs.rm(dir, { recursive: true, force: true }))
+  const file = path.join(dir, '.env')
+
+  await writeFileAtomic(file, 'A=1\n')
+  await writeFileAtomic(file, 'A=2\n')
+
+  t.is(await fs.readFile(file, 'utf-8'), 'A=2\n')
+  t.deepEqual(await fs.readdir(dir), ['.env'])
+})
+
+test.serial('watchChanges refreshes after a change and stops on SIGTERM', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mysterio-watch-'))
+  t.teardown(() => fs.rm(dir, { recursive: true, force: true }))
+  let refreshes = 0
+
+  const watching = watchChanges({ dirs: [dir, path.join(dir, 'missing')], interval: 0, refresh: async () => { refreshes++ } })
+  await fs.writeFile(path.join(dir, 'dev.json'), '{}')
+
+  t.true(await eventually(() => refreshes > 0))
+  process.emit('SIGTERM')
+  await watching
+})
+
+test.serial('get --watch rewrites the saved file when the config changes', async t => {
+  const { mysterio, cwd } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80 } }
+  })
+  const saved = path.join(cwd, 'config.json')
+
+  const watching = mysterio.get({ env: 'dev', source: 'local', save: 'config.json', watch: true })
+  t.true(await eventually(async () => (await fs.readFile(saved, 'utf-8').catch(() => '')).includes('80')))
+
+  await fs.writeFile(path.join(cwd, 'config/dev.json'), JSON.stringify({ port: 81 }))
+  t.true(await eventually(async () => (await fs.readFile(saved, 'utf-8')).includes('81')))
+
+  process.emit('SIGTERM')
+  t.deepEqual(await watching, { file: saved, writes: 2 })
+})
+
+test('get --watch needs --save and a single package', async t => {
+  const { mysterio } = await createProject(t, {
+    files: { 'config/dev.json': { port: 80 } }
+  })
+
+  await t.throwsAsync(mysterio.get({ env: 'dev', watch: true }), { message: '--watch needs --save <file>' })
+  await t.throwsAsync(mysterio.get({ env: 'dev', watch: true, save: '.env', allPackages: true }), {
+    message: /--watch works on a single package/
+  })
+})
@@ -0,0 +1,74 @@
+import test from 'ava'
+import path from 'node:path'
+import { discoverPackages } from '../workspaces.mjs'
+import { runWithContext } from '../context.mjs'
+import { createProject } from './_project.mjs'
+
+// A monorepo with two services and a shared root config
+const monorepo = {
+  'package.json': { name: 'root', workspaces: ['services/*'] },
+  'config/prod.json': { region: 'eu', port: 80 },
+  'services/billing/package.json': { name: '@acme/billing' },
+  'services/billing/config/prod.json': { port: 81 },
+  'services/search/package.json': { name: '@acme/search' },
+  'services/search/.mysteriorc': { packageName: 'search', configDirPath: 'settings' },
+  'services/search/settings/prod.json': { port: 82 },
+  'services/notes/README.md': 'no package.json'
+}
+
+test('discoverPackages reads the workspaces of package.json and each package\'s .mysteriorc', async t => {
+  const { cwd } = await createProject(t, { files: monorepo })
+
+  const packages = await runWithContext({ cwd }, () => discoverPackages(cwd))
+
+  t.deepEqual(packages, [
+    { name: '@acme/billing', dir: path.join(cwd, 'services/billing'), configDir: path.join(cwd, 'services/billing/config') },
+    { name: 'search', dir: path.join(cwd, 'services/search'), configDir: path.join(cwd, 'services/search/settings') }
+  ])
+})
+
+test('workspaces in .mysteriorc replace those of package.json', async t => {
+  const { mysterio } = await createProject(t, {
+    config: { workspaces: ['services/search'] },
+    files: monorepo
+  })
+
+  const results = await mysterio.get({ env: 'prod', source: 'local', allPackages: true })
+
+  t.deepEqual(results.map(result => result.package), ['search'])
+})
+
+test('get --package merges the root config under the package\'s own', async t => {
+  const { mysterio } = await createProject(t, { files: monorepo })
+
+  const [{ package: name, result }] = await mysterio.get({ env: 'prod', source: 'local', package: 'billing' })
+
+  t.is(name, '@acme/billing')
+  t.deepEqual(result.config, { region: 'eu', port: 81 })
+})
+
+test('--all-packages runs the command for each package in its own namespace', async t => {
+  const { mysterio, backend } = await createProject(t, { files: monorepo })
+
+  await mysterio.aws('push', { env: 'prod', allPackages: true })
+
+  t.deepEqual(await backend.read('@acme/billing/prod'), { port: 81 })
+  t.deepEqual(await backend.read('search/prod'), { port: 82 })
+})
+
+test('set --package writes to the package\'s own file', async t => {
+  const { mysterio, readJson } = await createProject(t, { files: monorepo })
+
+  await mysterio.set('debug', 'true', { env: 'prod', package: 'services/search' })
+
+  t.deepEqual(await readJson('services/search/settings/prod.json'), { port: 82, debug: 'true' })
+  t.deepEqual(await readJson('config/prod.json'), { region: 'eu', port: 80 })
+})
+
+test('an unknown package lists the available ones', async t => {
+  const { mysterio } = await createProject(t, { files: monorepo })
+
+  await t.throwsAsync(mysterio.get({ env: 'prod', package: 'web' }), {
+    message: 'Unknown package: web. Available: @acme/billing, search'
+  })
+})
@@ -0,0 +1,101 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import crypto from 'node:crypto'
+import { config } from './config.mjs'
+import { resolvePath } from './context.mjs'
+
+const CIPHER = 'aes-256-gcm'
+const KEY_LENGTH = 32
+const SALT_LENGTH = 16
+const IV_LENGTH = 12
+
+/**
+ * Encrypted vault files live next to the plain config, one per environment
+ */
+export function vaultPath(configDir, env) {
+  return path.join(configDir, '.vault', `${env}.json`)
+}
+
+/**
+ * Key material for the vault: the contents of a key file when one is
+ * configured, otherwise a passphrase from MYSTERIO_VAULT_PASSPHRASE or
+ * from `getPassphrase` (usually a prompt)
+ */
+export async function loadVaultSecret(getPassphrase) {
+  const keyFile = process.env.MYSTERIO_VAULT_KEYFILE || config.vaultKeyFile
+
+  if (keyFile) {
+    return await fs.readFile(resolvePath(keyFile))
+  }
+
+  const passphrase = process.env.MYSTERIO_VAULT_PASSPHRASE || await getPassphrase?.()
+  if (!passphrase) {
+    throw new Error('Vault passphrase required. Set MYSTERIO_VAULT_PASSPHRASE or vaultKeyFile in .mysteriorc')
+  }
+
+  return Buffer.from(passphrase, 'utf-8')
+}
+
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(secret, salt, KEY_LENGTH)
+}
+
+export function encryptVault(data, secret) {
+  const salt = crypto.randomBytes(SALT_LENGTH)
+  const iv = crypto.randomBytes(IV_LENGTH)
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(secret, salt), iv)
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf-8'), cipher.final()])
+
+  return {
+    version: 1,
+    cipher: CIPHER,
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: encrypted.toString('base64')
+  }
+}
+
+export function decryptVault(vault, secret) {
+  if (vault.cipher !== CIPHER || vault.kdf !== 'scrypt') {
+    throw new Error(`Unsupported vault format: ${vault.cipher}/${vault.kdf}`)
+  }
+
+  const key = deriveKey(secret, Buffer.from(vault.salt, 'base64'))
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(vault.iv, 'base64'))
+  decipher.setAuthTag(Buffer.from(vault.tag, 'base64'))
+
+  try {
+    const decrypted = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()])
+    return JSON.parse(decrypted.toString('utf-8'))
+  } catch {
+    throw new Error('Unable to decrypt vault: wrong passphrase or key file')
+  }
+}
+
+/**
+ * Decrypted vault contents for an environment, or null when there is no
+ * vault file. The key is only asked for when a vault exists.
+ */
+export async function readVault(configDir, env, getPassphrase) {
+  let content
+  try {
+    content = await fs.readFile(vaultPath(configDir, env), 'utf-8')
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+
+  const secret = await loadVaultSecret(getPassphrase)
+  return decryptVault(JSON.parse(content), secret)
+}
+
+export async function writeVault(configDir, env, data, getPassphrase) {
+  const file = vaultPath(configDir, env)
+  const secret = await loadVaultSecret(getPassphrase)
+
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await fs.writeFile(file, JSON.stringify(encryptVault(data, secret), null, 2))
+  return file
+}
@@ -0,0 +1,137 @@
+import fs from 'node:fs/promises'
+import { existsSync, watch } from 'node:fs'
+import path from 'node:path'
+import { spawn } from 'node:child_process'
+import { logger, resolvePath } from './context.mjs'
+
+// Editors save in several steps (truncate, write, rename), so changes are
+// picked up once the directory has been quiet this long
+const SETTLE_MS = 200
+
+/**
+ * Write a file through a temporary file in the same directory and a rename,
+ * so readers never see it half written
+ */
+export async function writeFileAtomic(file, content) {
+  const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`)
+  try {
+    await fs.writeFile(temp, content)
+    await fs.rename(temp, file)
+  } catch (error) {
+    await fs.rm(temp, { force: true })
+    throw error
+  }
+}
+
+/**
+ * Call `refresh` whenever a file directly in one of `dirs` changes, and
+ * every `interval` ms when one is given. Missing directories are skipped. Refreshes never overlap: changes seen during one
+ * queue a single follow-up. Resolves on SIGINT or SIGTERM, once the
+ * watchers are closed and any refresh in progress has finished.
+ *
+ * `refresh` should handle its own errors; a rejection stops the watch.
+ */
+export function watchChanges({ dirs, interval, refresh }) {
+  return new Promise((resolve, reject) => {
+    let running = null
+    let queued = false
+    let settle
+    let stopped = false
+
+    function run() {
+      if (stopped) return
+      if (running) {
+        queued = true
+        return
+      }
+      running = (async () => {
+        do {
+          queued = false
+          await refresh()
+        } while (queued && !stopped)
+      })()
+        .catch(error => {
+          stop()
+          reject(error)
+        })
+        .finally(() => {
+          running = null
+        })
+    }
+
+    function schedule() {
+      clearTimeout(settle)
+      settle = setTimeout(run, SETTLE_MS)
+    }
+
+    const watchers = dirs
+      .filter(dir => existsSync(dir))
+      .map(dir => watch(dir, schedule))
+    const poll = interval > 0 ? setInterval(run, interval) : null
+
+    async function stop() {
+      if (stopped) return
+      stopped = true
+      process.off('SIGINT', stop)
+      process.off('SIGTERM', stop)
+      clearTimeout(settle)
+      clearInterval(poll)
+      for (const watcher of watchers) {
+        watcher.close()
+      }
+      await running
+      resolve()
+    }
+
+    process.on('SIGINT', stop)
+    process.on('SIGTERM', stop)
+  })
+}
+
+/**
+ * Keep a shell command running alongside a watch. `restart()` stops it with
+ * SIGTERM and starts it again; `signal(name)` only sends it a signal, for
+ * programs that reload on e.g. SIGHUP.
+ */
+export function superviseCommand(command) {
+  let child = null
+
+  function start() {
+    const current = spawn(command, { shell: true, cwd: resolvePath(), stdio: 'inherit' })
+    current.on('error', error => {
+      logger.error(`❌ Failed to start '${command}':`, error.message)
+    })
+    current.on('exit', (code, signal) => {
+      if (child === current) {
+        child = null
+        logger.error(`⚠️  '${command}' exited with ${signal || `code ${code}`}, it starts again on the next change`)
+      }
+    })
+    child = current
+  }
+
+  async function stop() {
+    const current = child
+    child = null
+    if (!current || current.exitCode !== null || current.signalCode !== null) return
+    const exited = new Promise(resolve => current.once('exit', resolve))
+    current.kill('SIGTERM')
+    await exited
+  }
+
+  return {
+    start,
+    stop,
+    async restart() {
+      await stop()
+      start()
+    },
+    signal(name) {
+      if (child) {
+        child.kill(name)
+      } else {
+        start()
+      }
+    }
+  }
+}
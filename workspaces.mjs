@@ -0,0 +1,124 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { config } from './config.mjs'
+import { resolvePath } from './context.mjs'
+import { readJson } from './resolve.mjs'
+
+async function isDirectory(dir) {
+  try {
+    return (await fs.stat(dir)).isDirectory()
+  } catch {
+    return false
+  }
+}
+
+function segmentToRegExp(segment) {
+  const source = segment
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]*')
+  return new RegExp(`^${source}$`)
+}
+
+// Directories matching a workspace pattern such as `packages/*`. Each `*`
+// matches within a single directory level.
+async function expandPattern(rootDir, pattern) {
+  let dirs = [rootDir]
+
+  for (const segment of pattern.split('/').filter(part => part && part !== '.')) {
+    const next = []
+    for (const dir of dirs) {
+      if (!segment.includes('*')) {
+        const candidate = path.join(dir, segment)
+        if (await isDirectory(candidate)) next.push(candidate)
+        continue
+      }
+
+      const regExp = segmentToRegExp(segment)
+      let entries = []
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true })
+      } catch {
+        // Missing directories match nothing
+      }
+      for (const entry of entries) {
+        if (entry.isDirectory() && entry.name !== 'node_modules' && regExp.test(entry.name)) {
+          next.push(path.join(dir, entry.name))
+        }
+      }
+    }
+    dirs = next
+  }
+
+  return dirs
+}
+
+/**
+ * Workspace patterns from `workspaces` in .mysteriorc, falling back to the
+ * `workspaces` field of the root package.json (an array, or an object with
+ * a `packages` array)
+ */
+export async function workspacePatterns(rootDir = resolvePath()) {
+  if (Array.isArray(config.workspaces)) {
+    return config.workspaces
+  }
+
+  const packageJson = await readJson(path.join(rootDir, 'package.json'))
+  const workspaces = packageJson?.workspaces
+  return Array.isArray(workspaces) ? workspaces : workspaces?.packages || []
+}
+
+/**
+ * Packages of a monorepo, each `{ name, dir, configDir }`. A package's
+ * name and config dir come from its own .mysteriorc when it has one,
+ * otherwise from its package.json and `<dir>/config`.
+ */
+export async function discoverPackages(rootDir = resolvePath()) {
+  const packages = []
+  const seen = new Set()
+
+  for (const pattern of await workspacePatterns(rootDir)) {
+    for (const dir of await expandPattern(rootDir, pattern)) {
+      if (seen.has(dir)) continue
+      seen.add(dir)
+
+      const packageJson = await readJson(path.join(dir, 'package.json'))
+      const localRC = await readJson(path.join(dir, '.mysteriorc'))
+      const name = localRC?.packageName || packageJson?.name
+      if (!name) continue
+
+      packages.push({
+        name,
+        dir,
+        configDir: path.resolve(dir, localRC?.configDirPath || 'config')
+      })
+    }
+  }
+
+  return packages.sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * The packages picked by `--package <name>` (a package name or its
+ * directory) or `--all-packages`
+ */
+export async function selectPackages({ package: packageName, allPackages }, rootDir = resolvePath()) {
+  const packages = await discoverPackages(rootDir)
+  if (packages.length === 0) {
+    throw new Error('No workspace packages found. Set "workspaces" in package.json or .mysteriorc')
+  }
+
+  if (allPackages) {
+    return packages
+  }
+
+  const match = packages.find(pkg =>
+    pkg.name === packageName ||
+    path.relative(rootDir, pkg.dir) === packageName ||
+    path.basename(pkg.dir) === packageName)
+
+  if (!match) {
+    throw new Error(`Unknown package: ${packageName}. Available: ${packages.map(pkg => pkg.name).join(', ')}`)
+  }
+  return [match]
+}